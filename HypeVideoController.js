@@ -1,5 +1,5 @@
 /*!
- * Hype Video Controller v1.1.0
+ * Hype Video Controller v1.1.22
  * Copyright (2025) Max Ziebell. MIT-license
  */
 
@@ -20,15 +20,116 @@
  *       Removed removeSources functionality
  * 1.1.0 Added "Video Stalled" and "Video Autoplay Failed" events and configurable stall-timeout. 
  *       Improved stall detection architecture and added backwards-compatible data-attribute aliases.
+ * 1.1.1 Added cue points (data-video-cues and hypeDocument.addVideoCue) to fire custom behaviors at timestamps
+ * 1.1.2 Added video-locked timelines (data-video-timeline) driven by the video's currentTime
+ * 1.1.3 Added playlists (data-video-playlist and hypeDocument.setVideoPlaylist) with looping and preloading
+ *       Added "Video Playlist Item Changed" and "Video Playlist Ended" events
+ *       Stall and autoplay failure fallbacks now skip to the next playlist item
+ * 1.1.4 Added playback state per video (hypeDocument.getVideoState) mirrored to customData.videos
+ *       Added throttled "Video Progress" (progressInterval) and "Video Quartile" events (quartileEvents)
+ * 1.1.5 Added optional control bar (data-video-controls="custom") with keyboard and ARIA support
+ *       Added automatic binding of elements with data-video-control and data-video-target
+ * 1.1.6 Added captions from WebVTT and SRT files (data-video-captions) and hypeDocument.setVideoCaptions
+ *       Added rendering of captions into a Hype element and the "Video Caption Changed" event
+ * 1.1.7 Added chapters (data-video-chapters as JSON or WebVTT file) with chapter navigation
+ *       and the "Video Chapter Entered" event
+ * 1.1.8 Added resuming of playback position, mute and volume across scene changes (resume)
+ *       with optional localStorage persistence (resumeStorage) and the "Video Resumed" event
+ * 1.1.9 Added synchronization groups (data-video-sync-group) with a master clock, drift correction
+ *       and group-wide waiting on stalls, plus playVideoGroup, pauseVideoGroup and seekVideoGroup
+ * 1.1.10 Added data-video-src with adaptive streaming (HLS/DASH) support through pluggable
+ *       source adapters (HypeVideoController.registerSourceAdapter)
+ * 1.1.11 Added viewport-aware playback (data-video-viewport) with "Video Entered Viewport" and
+ *       "Video Left Viewport" events, and pausing while the page is hidden (pauseOnHidden)
+ *       Data attributes now support string and decimal settings
+ * 1.1.12 Added autoplay recovery (autoplayFailAction) with a tap-to-play overlay or a retry on the
+ *       next user gesture, and unmuting of auto-muted videos on the first gesture (unmuteOnGesture)
+ * 1.1.13 Added configuration scopes: global, per document (hypeDocument.setVideoDefault), per scene
+ *       (data attributes on the scene or hypeDocument.setVideoSceneDefault) and per video
+ *       Added typed validation of setting values and getEffectiveVideoSettings for debugging
+ * 1.1.14 Control methods now return promises that settle on the matching media event and reject
+ *       with a VideoControllerError, added hypeDocument.waitForVideo for async/await sequences
+ * 1.1.15 Added opt-in engagement tracking (watched ranges, heatmap, seeks, stalls, completions)
+ *       with callback, postMessage and beacon sinks, and hypeDocument.getVideoEngagement
+ * 1.1.16 Added a stall and error recovery pipeline with retries, exponential backoff and
+ *       alternate sources, with "Video Recovering", "Video Recovered" and "Video Error" events
+ * 1.1.17 Added an opt-in postMessage bridge (messageBridge, messageOrigins) to control videos
+ *       and receive lifecycle events from a host page, see HypeVideoControllerHost.js
+ * 1.1.18 Added declarative ended actions (onEnded: next-scene, previous-scene, scene:<name>,
+ *       timeline:<name>, loop:<count>) with onEndedTransition and onEndedDuration
+ * 1.1.19 Added Media Session support (mediaSession) for lock-screen controls and media keys,
+ *       hypeDocument methods also accept a video element instead of a name
+ * 1.1.20 Added frame stepping (stepVideoFrame, frameRate), A/B loop regions with "Video Loop
+ *       Completed", setVideoPlaybackRate, volume fades (fadeVideoVolume, fadeIn, fadeOut),
+ *       ducking of background videos (duck) and optional Web Audio gain nodes (webAudio)
+ * 1.1.21 Added resource management: lazy and next-scene preloading of data-video-src (preload),
+ *       releasing videos of distant scenes (releaseDistance) and poster frames (posterTime)
+ * 1.1.22 Added branching videos (data-video-branches) with segments, decision windows showing
+ *       choice elements, default branches and the path taken (getVideoBranchPath)
  */
 
 if ("HypeVideoController" in window === false) {
     window['HypeVideoController'] = (function () {
 
-        const _version = "1.1.0";
+        const _version = "1.1.22";
         const processedVideos = new WeakSet();
         const sceneObservers = new WeakMap();
         const stallMonitors = new WeakMap();
+        const videoCues = new WeakMap();
+        const timelineLoops = new WeakMap();
+        const videoPlaylists = new WeakMap();
+        const videoStates = new WeakMap();
+        const progressTrackers = new WeakMap();
+        const stateListeners = new WeakMap();
+        const controlBars = new WeakMap();
+        const boundControls = new WeakSet();
+        const captionStates = new WeakMap();
+        const captionTracks = new WeakSet();
+        const videoChapters = new WeakMap();
+        const resumePositions = new Map();
+        const resumeSaveTimes = new WeakMap();
+        const syncLoops = new WeakMap();
+        const syncHolds = new WeakSet();
+        const syncedVideos = new WeakSet();
+        const sourceAdapters = [];
+        const attachedSources = new WeakMap();
+        const hypeDocuments = new Set();
+        const viewportObservers = new WeakMap();
+        const viewportStates = new WeakMap();
+        const hiddenPausedVideos = new WeakSet();
+        const autoplayOverlays = new WeakMap();
+        const gesturePendingVideos = new Set();
+        const autoMutedVideos = new WeakSet();
+        const pendingUnmuteVideos = new WeakSet();
+        const documentConfigs = new WeakMap();
+        const videoDocuments = new WeakMap();
+        const sceneNames = new WeakMap();
+        const settingWarnings = new Set();
+        const pendingWaits = new WeakMap();
+        const videoEngagement = new WeakMap();
+        const trackingSinks = [];
+        const beaconQueues = new Map();
+        const recoveryStates = new WeakMap();
+        const bridgeClients = new WeakMap();
+        const endedLoops = new WeakMap();
+        const mediaSessionState = { video: null, hypeDocument: null };
+        const detectedFrameRates = new WeakMap();
+        const loopRegions = new WeakMap();
+        const audioGains = new WeakMap();
+        const volumeFades = new WeakMap();
+        const videoLevels = new WeakMap();
+        const duckingSources = new WeakMap();
+        const fadingOutVideos = new WeakMap();
+        const releasedVideos = new WeakSet();
+        const releasedSources = new WeakMap();
+        const posterVideos = new WeakMap();
+        const posterCache = new Map();
+        const videoBranches = new WeakMap();
+        const branchVideos = new WeakMap();
+        const boundChoices = new WeakSet();
+        const choiceBindings = new WeakMap();
+        const inactiveBranchVideos = new WeakSet();
+        let audioContext = null;
         
         const _default = {
             autoPlay: true,
@@ -38,8 +139,182 @@ if ("HypeVideoController" in window === false) {
             endOnStall: true,
             stallTimeout: 2000,
             endOnAutoplayFail: true,
+            autoplayFailAction: 'end',
+            autoplayOverlayLabel: 'Tap to play',
+            unmuteOnGesture: false,
+            progressInterval: 0,
+            quartileEvents: true,
+            controlStyles: true,
+            seekStep: 5,
+            resume: false,
+            resumeStorage: false,
+            syncTolerance: 40,
+            syncSeekThreshold: 500,
+            viewport: 'none',
+            viewportThreshold: 0.5,
+            pauseOnHidden: false,
+            recoveryRetries: 0,
+            recoveryDelay: 1000,
+            fallbackSrc: '',
+            tracking: false,
+            trackingPostMessage: false,
+            trackingEndpoint: '',
+            trackingBatchSize: 10,
+            trackingHeatmapBuckets: 20,
+            messageBridge: false,
+            messageOrigins: '',
+            onEnded: 'none',
+            onEndedTransition: 'instant',
+            onEndedDuration: 1.1,
+            mediaSession: false,
+            frameRate: 0,
+            fadeIn: 0,
+            fadeOut: 0,
+            duck: '',
+            duckLevel: 0.3,
+            duckFade: 300,
+            webAudio: false,
+            preload: 'on-display',
+            releaseDistance: 0,
+            posterTime: 0,
         };
 
+        // Types, ranges and data-attribute aliases used to validate setting values
+        const settingTypes = {
+            autoPlay: { type: 'boolean', alias: 'auto-play' },
+            autoMute: { type: 'boolean', alias: 'auto-mute' },
+            autoPlaysInline: { type: 'boolean', alias: 'plays-inline' },
+            autoObserver: { type: 'boolean' },
+            endOnStall: { type: 'boolean', alias: 'end-on-stall' },
+            stallTimeout: { type: 'integer', min: 0, alias: 'stall-timeout' },
+            endOnAutoplayFail: { type: 'boolean', alias: 'end-on-autoplay-fail' },
+            autoplayFailAction: { type: 'enum', values: ['end', 'overlay', 'wait-gesture', 'none'], alias: 'autoplay-fail-action' },
+            autoplayOverlayLabel: { type: 'string', alias: 'autoplay-overlay-label' },
+            unmuteOnGesture: { type: 'boolean', alias: 'unmute-on-gesture' },
+            progressInterval: { type: 'integer', min: 0, alias: 'progress-interval' },
+            quartileEvents: { type: 'boolean', alias: 'quartile-events' },
+            controlStyles: { type: 'boolean' },
+            seekStep: { type: 'number', min: 0, alias: 'seek-step' },
+            resume: { type: 'boolean' },
+            resumeStorage: { type: 'boolean', alias: 'resume-storage' },
+            syncTolerance: { type: 'integer', min: 0, alias: 'sync-tolerance' },
+            syncSeekThreshold: { type: 'integer', min: 0, alias: 'sync-seek-threshold' },
+            viewport: { type: 'enum', values: ['play', 'pause', 'none'] },
+            viewportThreshold: { type: 'number', min: 0, max: 1, alias: 'viewport-threshold' },
+            pauseOnHidden: { type: 'boolean', alias: 'pause-on-hidden' },
+            recoveryRetries: { type: 'integer', min: 0, alias: 'recovery-retries' },
+            recoveryDelay: { type: 'integer', min: 0, alias: 'recovery-delay' },
+            fallbackSrc: { type: 'string', alias: 'fallback-src' },
+            tracking: { type: 'boolean' },
+            trackingPostMessage: { type: 'boolean', alias: 'tracking-post-message' },
+            trackingEndpoint: { type: 'string', alias: 'tracking-endpoint' },
+            trackingBatchSize: { type: 'integer', min: 1, alias: 'tracking-batch-size' },
+            trackingHeatmapBuckets: { type: 'integer', min: 1, alias: 'tracking-heatmap-buckets' },
+            messageBridge: { type: 'boolean' },
+            messageOrigins: { type: 'string' },
+            onEnded: { type: 'string', alias: 'on-ended' },
+            onEndedTransition: { type: 'enum', values: ['instant', 'crossfade', 'swap', 'push-left', 'push-right', 'push-up', 'push-down'], alias: 'on-ended-transition' },
+            onEndedDuration: { type: 'number', min: 0, alias: 'on-ended-duration' },
+            mediaSession: { type: 'boolean', alias: 'media-session' },
+            frameRate: { type: 'number', min: 0, alias: 'frame-rate' },
+            fadeIn: { type: 'integer', min: 0, alias: 'fade-in' },
+            fadeOut: { type: 'integer', min: 0, alias: 'fade-out' },
+            duck: { type: 'string' },
+            duckLevel: { type: 'number', min: 0, max: 1, alias: 'duck-level' },
+            duckFade: { type: 'integer', min: 0, alias: 'duck-fade' },
+            webAudio: { type: 'boolean', alias: 'web-audio' },
+            preload: { type: 'enum', values: ['next-scene', 'on-display', 'none'] },
+            releaseDistance: { type: 'integer', min: 0, alias: 'release-distance' },
+            posterTime: { type: 'number', min: 0, alias: 'poster-time' },
+        };
+
+        // Easing functions for volume fades
+        const easings = {
+            'linear': t => t,
+            'ease-in': t => t * t,
+            'ease-out': t => t * (2 - t),
+            'ease-in-out': t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+        };
+
+        // Hype scene transition constants for the onEndedTransition values
+        const sceneTransitions = {
+            'instant': 'kSceneTransitionInstant',
+            'crossfade': 'kSceneTransitionCrossfade',
+            'swap': 'kSceneTransitionSwap',
+            'push-left': 'kSceneTransitionPushRightToLeft',
+            'push-right': 'kSceneTransitionPushLeftToRight',
+            'push-up': 'kSceneTransitionPushBottomToTop',
+            'push-down': 'kSceneTransitionPushTopToBottom',
+        };
+
+        /**
+         * Parses and validates a setting value against its type. Strings (e.g. from
+         * data attributes) are converted to the setting's type. Invalid values are
+         * reported once in the console.
+         *
+         * @param {String} setting - The setting name
+         * @param {*} value - The raw value
+         * @returns {*} - The parsed value, or undefined if invalid
+         */
+        function parseSettingValue(setting, value) {
+            const definition = settingTypes[setting];
+            if (!definition) return value;
+
+            const raw = typeof value === 'string' ? value.trim() : value;
+            let parsed;
+
+            switch (definition.type) {
+                case 'boolean':
+                    // Like the original data attributes, any text other than 'true' is false
+                    if (typeof raw === 'boolean') parsed = raw;
+                    if (typeof raw === 'string') parsed = raw === 'true';
+                    break;
+                case 'integer':
+                    parsed = typeof raw === 'string' && /^-?\d+$/.test(raw) ? Number(raw) : raw;
+                    if (!Number.isInteger(parsed)) parsed = undefined;
+                    break;
+                case 'number':
+                    parsed = typeof raw === 'string' && raw !== '' ? Number(raw) : raw;
+                    if (typeof parsed !== 'number' || !isFinite(parsed)) parsed = undefined;
+                    break;
+                case 'enum':
+                    if (definition.values.includes(raw)) parsed = raw;
+                    break;
+                case 'string':
+                    if (typeof raw === 'string') parsed = raw;
+                    break;
+            }
+
+            if (typeof parsed === 'number' &&
+                ((definition.min !== undefined && parsed < definition.min) ||
+                 (definition.max !== undefined && parsed > definition.max))) {
+                parsed = undefined;
+            }
+
+            if (parsed === undefined) {
+                const warning = `${setting}:${value}`;
+                if (!settingWarnings.has(warning)) {
+                    settingWarnings.add(warning);
+                    console.warn(`Invalid value for video setting "${setting}":`, value);
+                }
+            }
+            return parsed;
+        }
+
+        /**
+         * Validates and assigns settings to a settings object
+         *
+         * @param {Object} target - The settings object to assign to
+         * @param {String|Object} key - Option key or object with multiple settings
+         * @param {*} value - Value to set (if key is string)
+         */
+        function assignSettings(target, key, value) {
+            const settings = typeof key === 'object' ? key : { [key]: value };
+            Object.keys(settings).forEach(setting => {
+                const parsed = parseSettingValue(setting, settings[setting]);
+                if (parsed !== undefined) target[setting] = parsed;
+            });
+        }
 
         /**
          * Set default options for HypeVideoController
@@ -47,11 +322,7 @@ if ("HypeVideoController" in window === false) {
          * @param {*} value - Value to set (if key is string)
          */
          function setDefault(key, value) {
-            if (typeof key === 'object') {
-                Object.assign(_default, key);
-            } else {
-                _default[key] = value;
-            }
+            assignSettings(_default, key, value);
         }
 
         /**
@@ -63,14 +334,583 @@ if ("HypeVideoController" in window === false) {
             return key ? _default[key] : {..._default};
         }
 
+        /**
+         * Gets the key under which the playback position of a video is remembered
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {String|null} - The key, or null for unnamed videos
+         */
+        function getResumeKey(hypeDocument, video) {
+            const name = video.getAttribute('data-video-name') || video.id;
+            return name ? `${hypeDocument.documentName()}/${name}` : null;
+        }
+
+        /**
+         * Remembers the playback position, mute and volume state of a video
+         * if resume is enabled for it. Ended videos are remembered at the start.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function saveVideoPosition(hypeDocument, video) {
+            if (!getVideoSetting(video, 'resume')) return;
+            const key = getResumeKey(hypeDocument, video);
+            if (!key) return;
+
+            const entry = {
+                time: video.ended ? 0 : video.currentTime,
+                muted: video.muted,
+                volume: video.volume,
+            };
+            resumePositions.set(key, entry);
+
+            if (getVideoSetting(video, 'resumeStorage')) {
+                try {
+                    localStorage.setItem(`HypeVideoController/${key}`, JSON.stringify(entry));
+                } catch (error) {
+                    // Storage might be unavailable (e.g. private browsing)
+                }
+            }
+        }
+
+        /**
+         * Gets the remembered playback state of a video
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Object|null} - The saved {time, muted, volume} or null
+         */
+        function getSavedPosition(hypeDocument, video) {
+            const key = getResumeKey(hypeDocument, video);
+            if (!key) return null;
+            if (resumePositions.has(key)) return resumePositions.get(key);
+
+            if (getVideoSetting(video, 'resumeStorage')) {
+                try {
+                    const entry = JSON.parse(localStorage.getItem(`HypeVideoController/${key}`));
+                    if (entry) resumePositions.set(key, entry);
+                    return entry;
+                } catch (error) {
+                    return null;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Forgets the remembered playback state of a video
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function clearSavedPosition(hypeDocument, video) {
+            const key = getResumeKey(hypeDocument, video);
+            if (!key) return;
+            resumePositions.delete(key);
+            try {
+                localStorage.removeItem(`HypeVideoController/${key}`);
+            } catch (error) {
+                // Storage might be unavailable (e.g. private browsing)
+            }
+        }
+
+        /**
+         * Checks whether the viewer has interacted with the page, which allows
+         * unmuted playback
+         *
+         * @returns {Boolean} - True after the first user gesture
+         */
+        function hasUserActivation() {
+            return !!(navigator.userActivation && navigator.userActivation.hasBeenActive);
+        }
+
+        /**
+         * Restores the remembered playback state of a video and fires "Video Resumed"
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Boolean} - Whether a saved position was restored
+         */
+        function restoreVideoPosition(hypeDocument, video) {
+            if (!getVideoSetting(video, 'resume')) return false;
+            const entry = getSavedPosition(hypeDocument, video);
+            if (!entry) return false;
+
+            // Browsers block unmuted playback until the user interacted with the page,
+            // so an unmuted state is restored with the first gesture instead
+            if (entry.muted || hasUserActivation()) {
+                video.muted = !!entry.muted;
+            } else if (video.muted) {
+                pendingUnmuteVideos.add(video);
+            }
+            if (entry.volume >= 0 && entry.volume <= 1) video.volume = entry.volume;
+            if (!(entry.time > 0)) return false;
+
+            video.currentTime = entry.time;
+            triggerVideoEvent(hypeDocument, 'Video Resumed', video);
+            return true;
+        }
+
+        /**
+         * Registers a source adapter for streaming formats the browser can't play natively.
+         * An adapter is an object with a name, canHandle(url, video) returning a boolean and
+         * attach(video, url, context) returning a function or an object with destroy() for teardown.
+         * Adapters report fatal errors by calling context.error(details).
+         *
+         * @param {Object} adapter - The source adapter
+         */
+        function registerSourceAdapter(adapter) {
+            if (!adapter || typeof adapter.canHandle !== 'function' || typeof adapter.attach !== 'function') {
+                console.warn('Source adapters need canHandle(url, video) and attach(video, url, context) functions.');
+                return;
+            }
+            unregisterSourceAdapter(adapter.name);
+            sourceAdapters.push(adapter);
+        }
+
+        /**
+         * Removes a registered source adapter
+         *
+         * @param {String} name - The adapter name
+         */
+        function unregisterSourceAdapter(name) {
+            const index = sourceAdapters.findIndex(adapter => name && adapter.name === name);
+            if (index !== -1) sourceAdapters.splice(index, 1);
+        }
+
+        /**
+         * Gets the MIME type of a streaming URL (HLS or DASH)
+         *
+         * @param {String} url - The source URL
+         * @returns {String|null} - The MIME type or null for progressive sources
+         */
+        function getStreamingType(url) {
+            const path = url.split(/[?#]/)[0].toLowerCase();
+            if (path.endsWith('.m3u8')) return 'application/vnd.apple.mpegurl';
+            if (path.endsWith('.mpd')) return 'application/dash+xml';
+            return null;
+        }
+
+        /**
+         * Handles a fatal source error by firing "Video Stalled" and then recovering
+         * the video (recoveryRetries) or failing it with "Video Error".
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {*} details - Error details for the console
+         */
+        function handleSourceError(hypeDocument, video, details) {
+            console.warn(`Video source failed for video: ${video.id || 'unnamed'}`, details);
+            if (!recoveryStates.has(video)) {
+                triggerVideoEvent(hypeDocument, 'Video Stalled', video);
+            }
+
+            if (recoveryStates.has(video) || getVideoSetting(video, 'recoveryRetries') > 0) {
+                recoverVideo(hypeDocument, video, 'source');
+            } else {
+                failVideo(hypeDocument, video);
+            }
+        }
+
+        /**
+         * Attaches the source declared with data-video-src to a video. Streaming URLs
+         * play natively where supported and go through a matching source adapter otherwise.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function attachVideoSource(hypeDocument, video) {
+            const url = video.getAttribute('data-video-src');
+            if (!url) return;
+
+            const attached = attachedSources.get(video);
+            if (attached && attached.url === url) return;
+            detachVideoSource(video);
+
+            const streamingType = getStreamingType(url);
+            if (!streamingType || video.canPlayType(streamingType)) {
+                if (video.getAttribute('src') !== url) video.src = url;
+                attachedSources.set(video, { url, teardown: null });
+                return;
+            }
+
+            // Errors are reported on the next frame, once the scene is displayed and a
+            // running recovery stage has finished scheduling
+            const adapter = sourceAdapters.find(adapter => adapter.canHandle(url, video));
+            if (!adapter) {
+                requestAnimationFrame(() => {
+                    if (attachedSources.has(video) || video.getAttribute('data-video-src') !== url) return;
+                    handleSourceError(hypeDocument, video, `No source adapter registered for "${url}"`);
+                });
+                return;
+            }
+
+            const entry = { url, teardown: null };
+            attachedSources.set(video, entry);
+            try {
+                entry.teardown = adapter.attach(video, url, {
+                    hypeDocument: hypeDocument,
+                    error: details => {
+                        if (attachedSources.get(video) === entry) {
+                            handleSourceError(hypeDocument, video, details);
+                        }
+                    },
+                });
+            } catch (error) {
+                requestAnimationFrame(() => {
+                    if (attachedSources.get(video) === entry) handleSourceError(hypeDocument, video, error);
+                });
+            }
+        }
+
+        /**
+         * Tears down the source adapter of a video, if any
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function detachVideoSource(video) {
+            const attached = attachedSources.get(video);
+            if (!attached) return;
+            attachedSources.delete(video);
+
+            const teardown = attached.teardown;
+            if (!teardown) return;
+            try {
+                if (typeof teardown === 'function') {
+                    teardown();
+                } else if (typeof teardown.destroy === 'function') {
+                    teardown.destroy();
+                }
+            } catch (error) {
+                console.warn('Failed to tear down source adapter:', error);
+            }
+        }
+
+        /**
+         * Attaches the data-video-src sources of videos in the current scene
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupVideoSources(hypeDocument) {
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+            currentScene.querySelectorAll('video[data-video-src]').forEach(video => {
+                releasedVideos.delete(video);
+                // Nothing is downloaded before playback starts
+                if (getVideoSetting(video, 'preload') === 'none') video.preload = 'none';
+                attachVideoSource(hypeDocument, video);
+            });
+            currentScene.querySelectorAll('video').forEach(video => {
+                restoreVideoSources(video);
+                generateVideoPoster(video);
+            });
+        }
+
+        /**
+         * Gets the scene elements of a Hype document in scene order
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @returns {Array} - The scene elements
+         */
+        function getSceneElements(hypeDocument) {
+            const container = document.getElementById(hypeDocument.documentId());
+            return container ? Array.from(container.getElementsByClassName('HYPE_scene')) : [];
+        }
+
+        /**
+         * Captures a frame of a video as its poster (posterTime). The frame is taken
+         * from a hidden copy of the video, so the video itself isn't touched.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function generateVideoPoster(video) {
+            const time = getVideoSetting(video, 'posterTime');
+            if (!time || video.getAttribute('poster') || posterVideos.has(video)) return;
+
+            const url = video.getAttribute('data-video-src') || video.currentSrc || video.getAttribute('src');
+            if (!url) return;
+            const streamingType = getStreamingType(url);
+            if (streamingType && !video.canPlayType(streamingType)) return;
+
+            const cacheKey = `${new URL(url, document.baseURI).href}#${time}`;
+            if (posterCache.has(cacheKey)) {
+                video.poster = posterCache.get(cacheKey);
+                return;
+            }
+
+            const capture = document.createElement('video');
+            posterVideos.set(video, capture);
+            capture.crossOrigin = video.crossOrigin || 'anonymous';
+            capture.muted = true;
+            capture.preload = 'auto';
+
+            const finish = () => {
+                posterVideos.delete(video);
+                capture.removeAttribute('src');
+                capture.load();
+            };
+            capture.addEventListener('loadedmetadata', () => {
+                capture.currentTime = Math.min(time, capture.duration || time);
+            }, { once: true });
+            capture.addEventListener('seeked', () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = capture.videoWidth;
+                    canvas.height = capture.videoHeight;
+                    canvas.getContext('2d').drawImage(capture, 0, 0);
+                    const poster = canvas.toDataURL('image/jpeg', 0.8);
+                    posterCache.set(cacheKey, poster);
+                    if (!video.getAttribute('poster')) video.poster = poster;
+                } catch (error) {
+                    // Cross-origin videos without CORS headers taint the canvas
+                    console.warn(`Failed to capture a poster frame for video: ${video.id || 'unnamed'}`, error);
+                }
+                finish();
+            }, { once: true });
+            capture.addEventListener('error', finish, { once: true });
+            capture.src = url;
+        }
+
+        /**
+         * Loads the videos of the scene after the current one that are set to
+         * preload with the next scene (data-video-preload="next-scene")
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function preloadNextScene(hypeDocument) {
+            const scenes = getSceneElements(hypeDocument);
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+            const nextScene = scenes[scenes.indexOf(currentScene) + 1];
+            if (!nextScene) return;
+
+            nextScene.querySelectorAll('video').forEach(video => {
+                if (getVideoSetting(video, 'preload') !== 'next-scene') return;
+                releasedVideos.delete(video);
+                restoreVideoSources(video);
+                if (video.hasAttribute('data-video-src')) {
+                    video.preload = 'auto';
+                    attachVideoSource(hypeDocument, video);
+                }
+                generateVideoPoster(video);
+            });
+        }
+
+        /**
+         * Releases the sources of a video so the browser can free its buffers.
+         * Videos with a plain src keep it in data-video-src and <source> children are
+         * kept aside, so they load again on display.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function releaseVideoSource(video) {
+            if (releasedVideos.has(video)) return;
+
+            const src = video.getAttribute('src');
+            const sources = Array.from(video.querySelectorAll('source'));
+            if (!video.hasAttribute('data-video-src')) {
+                if (src) video.setAttribute('data-video-src', src);
+                else if (!sources.length) return;
+            }
+
+            video.pause();
+            detachVideoSource(video);
+            video.removeAttribute('src');
+            if (sources.length) {
+                releasedSources.set(video, sources);
+                sources.forEach(source => source.remove());
+            }
+            video.load();
+            releasedVideos.add(video);
+        }
+
+        /**
+         * Puts back the <source> children taken out by releaseVideoSource
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function restoreVideoSources(video) {
+            if (!releasedSources.has(video)) return;
+            video.prepend(...releasedSources.get(video));
+            releasedSources.delete(video);
+            releasedVideos.delete(video);
+            video.load();
+        }
+
+        /**
+         * Releases the videos of scenes more than releaseDistance scenes away from
+         * the current scene
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function releaseDistantScenes(hypeDocument) {
+            const distance = getDocumentSetting(hypeDocument, 'releaseDistance');
+            if (!distance) return;
+
+            const scenes = getSceneElements(hypeDocument);
+            const currentIndex = scenes.indexOf(hypeDocument.getElementById(hypeDocument.currentSceneId()));
+            if (currentIndex === -1) return;
+
+            scenes.forEach((scene, index) => {
+                if (Math.abs(index - currentIndex) > distance) {
+                    scene.querySelectorAll('video').forEach(releaseVideoSource);
+                }
+            });
+        }
+
+
+        /**
+         * Error used to reject the promises of the control API. The code is one of
+         * VIDEO_NOT_FOUND, AUTOPLAY_BLOCKED, PLAY_FAILED, INVALID_ARGUMENT, ABORTED or TIMEOUT.
+         */
+        class VideoControllerError extends Error {
+            constructor(code, message, cause) {
+                super(message);
+                this.name = 'VideoControllerError';
+                this.code = code;
+                this.cause = cause;
+            }
+        }
+
+        /**
+         * Returns a promise that resolves with the video on the next matching media event.
+         * The promise has a cancel(error) method, and is rejected with ABORTED when the
+         * video's scene unloads.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Array} types - Media event types to wait for
+         * @param {Function} [condition] - Optional check that must pass for the event to count
+         * @returns {Promise} - Promise resolving with the video
+         */
+        function waitForVideoEvent(video, types, condition) {
+            let cancel;
+            const promise = new Promise((resolve, reject) => {
+                if (!pendingWaits.has(video)) {
+                    pendingWaits.set(video, new Set());
+                }
+                const waits = pendingWaits.get(video);
+
+                const cleanup = () => {
+                    types.forEach(type => video.removeEventListener(type, handler));
+                    waits.delete(cancel);
+                };
+                const handler = event => {
+                    if (condition && !condition(event)) return;
+                    cleanup();
+                    resolve(video);
+                };
+                cancel = error => {
+                    cleanup();
+                    reject(error);
+                };
+
+                types.forEach(type => video.addEventListener(type, handler));
+                waits.add(cancel);
+            });
+            promise.cancel = cancel;
+            return promise;
+        }
+
+        /**
+         * Rejects all pending waits of a video with an ABORTED error
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function abortVideoWaits(video) {
+            if (!pendingWaits.has(video)) return;
+            pendingWaits.get(video).forEach(cancel => {
+                cancel(new VideoControllerError('ABORTED', 'The video was stopped because its scene unloaded.'));
+            });
+        }
+
+        /**
+         * Rejects with a VIDEO_NOT_FOUND error
+         *
+         * @param {String} name - The requested video name or selector
+         * @returns {Promise} - A rejected promise
+         */
+        function rejectVideoNotFound(name) {
+            return Promise.reject(new VideoControllerError('VIDEO_NOT_FOUND', `Video "${name || 'first in scene'}" not found in the current scene.`));
+        }
+
+        /**
+         * Plays a video and resolves once it is playing
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Promise} - Resolves with the video on "playing", rejects with
+         *                      AUTOPLAY_BLOCKED or PLAY_FAILED
+         */
+        function playVideoElement(video) {
+            if (!video.paused && !video.ended && video.readyState > 2) {
+                return Promise.resolve(video);
+            }
+
+            const playing = waitForVideoEvent(video, ['playing']);
+            const playPromise = video.play();
+            if (playPromise !== undefined) {
+                playPromise.catch(error => {
+                    const blocked = error && error.name === 'NotAllowedError';
+                    playing.cancel(new VideoControllerError(
+                        blocked ? 'AUTOPLAY_BLOCKED' : 'PLAY_FAILED',
+                        blocked ? 'Playback was blocked by the browser.' : 'Playback failed.',
+                        error
+                    ));
+                });
+            }
+            return playing;
+        }
+
+        /**
+         * Pauses a video and resolves once it is paused
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Promise} - Resolves with the video on "pause"
+         */
+        function pauseVideoElement(video) {
+            if (video.paused) return Promise.resolve(video);
+            const paused = waitForVideoEvent(video, ['pause']);
+            video.pause();
+            return paused;
+        }
+
+        /**
+         * Seeks a video and resolves once the seek completed
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} time - The time in seconds
+         * @returns {Promise} - Resolves with the new currentTime on "seeked" (right away
+         *                      before metadata loaded), rejects with INVALID_ARGUMENT if
+         *                      the time is out of range
+         */
+        function seekVideoElement(video, time) {
+            const duration = video.duration;
+            if (typeof time !== 'number' || isNaN(time) || time < 0 || (isFinite(duration) && time > duration)) {
+                return Promise.reject(new VideoControllerError('INVALID_ARGUMENT', `Cannot seek to ${time}, the time must be between 0 and the duration.`));
+            }
+            // Without metadata the time is applied once it loads and no seeked event fires
+            if (video.readyState === 0) {
+                video.currentTime = time;
+                return Promise.resolve(video.currentTime);
+            }
+            const seeked = waitForVideoEvent(video, ['seeked']);
+            video.currentTime = time;
+            return seeked.then(() => video.currentTime);
+        }
+
         /**
          * Stops all videos in a scene element
          * 
+         * @param {Object} hypeDocument - The Hype document instance
          * @param {HTMLElement} sceneElement - The scene element containing videos
          */
-        function stopVideosInScene(sceneElement) {
+        function stopVideosInScene(hypeDocument, sceneElement) {
             const videos = sceneElement.querySelectorAll('video');
             videos.forEach(video => {
+                saveVideoPosition(hypeDocument, video);
+                // A running fade-out pauses and rewinds the video once it completes
+                if (fadingOutVideos.has(video)) {
+                    fadingOutVideos.get(video).reset = true;
+                    return;
+                }
                 video.pause();
                 video.currentTime = 0;
             });
@@ -82,7 +922,7 @@ if ("HypeVideoController" in window === false) {
          * @param {Object} hypeDocument - The Hype document instance
          */
         function setupSceneObserver(hypeDocument) {
-            if (!_default.autoObserver) return;
+            if (!getDocumentSetting(hypeDocument, 'autoObserver')) return;
             
             const container = document.getElementById(hypeDocument.documentId());
             
@@ -96,9 +936,10 @@ if ("HypeVideoController" in window === false) {
                         const sceneElement = mutation.target;
                         const isVisible = window.getComputedStyle(sceneElement).display !== 'none';
                         
-                        // If scene becomes hidden, stop all videos in it
+                        // If scene becomes hidden, stop all videos in it and release distant scenes
                         if (!isVisible) {
-                            stopVideosInScene(sceneElement);
+                            stopVideosInScene(hypeDocument, sceneElement);
+                            releaseDistantScenes(hypeDocument);
                         }
                     }
                 });
@@ -169,53 +1010,3234 @@ if ("HypeVideoController" in window === false) {
                 hypeDocument.triggerCustomBehaviorNamed(`${eventType} ${videoName}`);
             }
 
-            // Support Hype Reactive Content if available
-            if (window.HypeReactiveContent) {
-                hypeDocument.refreshReactiveContentDebounced();
-            }
+            updateVideoState(hypeDocument, video, { lastEvent: eventType });
+            broadcastVideoEvent(hypeDocument, eventType, video);
         }
 
         /**
-         * Monitors any playing video for stalls. This function is always active.
-         * It will ALWAYS fire a "Video Stalled" event upon detecting a stall.
-         * It will THEN check the "endOnStall" setting to decide if it should
-         * also take the action of ending the video.
+         * Gets the percentage of the video that is buffered around the current position.
          *
-         * @param {HTMLVideoElement} video The video element to monitor.
-         * @param {Object} hypeDocument The Hype document instance.
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Number} - Buffered percentage (0-100)
          */
-        function monitorForStalls(video, hypeDocument) {
-            clearStallMonitor(video);
+        function getBufferedPercent(video) {
+            const duration = video.duration;
+            const buffered = video.buffered;
+            if (!duration || !isFinite(duration) || !buffered || !buffered.length) return 0;
+
+            let end = buffered.end(buffered.length - 1);
+            for (let i = 0; i < buffered.length; i++) {
+                if (buffered.start(i) <= video.currentTime && buffered.end(i) >= video.currentTime) {
+                    end = buffered.end(i);
+                    break;
+                }
+            }
+            return Math.min(100, (end / duration) * 100);
+        }
+
+        /**
+         * Refreshes the playback state object of a video from the element.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Object} [changes] - Additional state values (e.g. lastEvent)
+         * @returns {Object} - The state object
+         */
+        function readVideoState(video, changes) {
+            if (!videoStates.has(video)) {
+                videoStates.set(video, { lastEvent: null, captionText: '', chapter: null, recoveryAttempt: 0, loopCount: 0, branchSegment: null });
+            }
+            const state = videoStates.get(video);
+            const duration = isFinite(video.duration) ? video.duration : 0;
+
+            return Object.assign(state, {
+                name: video.getAttribute('data-video-name') || video.id || null,
+                currentTime: video.currentTime,
+                duration: duration,
+                percent: duration ? (video.currentTime / duration) * 100 : 0,
+                buffered: getBufferedPercent(video),
+                paused: video.paused,
+                muted: video.muted,
+                volume: video.volume,
+                playbackRate: video.playbackRate,
+            }, changes);
+        }
+
+        /**
+         * Updates the playback state object of a video and mirrors it into
+         * hypeDocument.customData.videos so Hype Reactive Content can bind to it.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Object} [changes] - Additional state values (e.g. lastEvent)
+         */
+        function updateVideoState(hypeDocument, video, changes) {
+            const state = readVideoState(video, changes);
+
+            // Mirror a copy into customData, named videos only
+            if (state.name && hypeDocument.customData) {
+                if (!hypeDocument.customData.videos) {
+                    hypeDocument.customData.videos = {};
+                }
+                hypeDocument.customData.videos[state.name] = { ...state };
+            }
+
+            // Support Hype Reactive Content if available
+            if (window.HypeReactiveContent) {
+                hypeDocument.refreshReactiveContentDebounced();
+            }
+
+            // Notify internal listeners such as control bars
+            if (stateListeners.has(video)) {
+                stateListeners.get(video).forEach(listener => listener(state));
+            }
+        }
+
+        /**
+         * Registers a callback that runs whenever the playback state of a video changes.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Function} listener - Callback receiving the state object
+         */
+        function addStateListener(video, listener) {
+            if (!stateListeners.has(video)) {
+                stateListeners.set(video, new Set());
+            }
+            stateListeners.get(video).add(listener);
+            listener(readVideoState(video));
+        }
+
+        /**
+         * Fires the throttled "Video Progress" event and the quartile events
+         * ("Video Quartile 25", "Video Quartile 50", "Video Quartile 75") while playing.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function processVideoProgress(hypeDocument, video) {
+            if (!progressTrackers.has(video)) {
+                progressTrackers.set(video, { lastEventTime: 0, lastPercent: 0, quartiles: new Set() });
+            }
+            const tracker = progressTrackers.get(video);
+            const duration = video.duration;
+            if (!duration || !isFinite(duration)) return;
+
+            const percent = (video.currentTime / duration) * 100;
+            const progressInterval = getVideoSetting(video, 'progressInterval');
+
+            if (progressInterval > 0 && !video.paused) {
+                const now = Date.now();
+                if (now - tracker.lastEventTime >= progressInterval) {
+                    tracker.lastEventTime = now;
+                    triggerVideoEvent(hypeDocument, 'Video Progress', video);
+                }
+            }
+
+            if (getVideoSetting(video, 'quartileEvents')) {
+                [25, 50, 75].forEach(quartile => {
+                    if (!tracker.quartiles.has(quartile) && quartile >= tracker.lastPercent && quartile <= percent) {
+                        tracker.quartiles.add(quartile);
+                        triggerVideoEvent(hypeDocument, `Video Quartile ${quartile}`, video);
+                    }
+                });
+            }
+            tracker.lastPercent = percent;
+        }
+
+        /**
+         * Re-arms the quartile events after the current position (e.g. after seeking back).
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function rearmVideoProgress(video) {
+            const tracker = progressTrackers.get(video);
+            if (!tracker || !video.duration) return;
+
+            const percent = (video.currentTime / video.duration) * 100;
+            tracker.quartiles.forEach(quartile => {
+                if (quartile >= percent) tracker.quartiles.delete(quartile);
+            });
+            tracker.lastPercent = percent;
+        }
+
+        /**
+         * Monitors any playing video for stalls. This function is always active.
+         * It will ALWAYS fire a "Video Stalled" event upon detecting a stall.
+         * It will THEN check the "endOnStall" setting to decide if it should
+         * also take the action of ending the video.
+         *
+         * @param {HTMLVideoElement} video The video element to monitor.
+         * @param {Object} hypeDocument The Hype document instance.
+         */
+        function monitorForStalls(video, hypeDocument) {
+            clearStallMonitor(video);
+
+            let lastTime = video.currentTime;
+            const stallTimeout = getVideoSetting(video, 'stallTimeout');
+
+            const timer = setTimeout(() => {
+                // A running recovery checks progress itself
+                if (recoveryStates.has(video)) return;
 
-            let lastTime = video.currentTime;
-            const stallTimeout = getVideoSetting(video, 'stallTimeout');
-
-            const timer = setTimeout(() => {
                 if (!video.paused && video.currentTime === lastTime) {
                     console.warn(`Video playback stalled.`);
                     triggerVideoEvent(hypeDocument, 'Video Stalled', video);
+                    trackEngagement(hypeDocument, video, 'stall');
+
+                    if (getVideoSetting(video, 'recoveryRetries') > 0) {
+                        recoverVideo(hypeDocument, video, 'stall');
+                    } else if (getVideoSetting(video, 'endOnStall')) {
+                        console.log(`"endOnStall" is true. Triggering "Video Ended" as a fallback.`);
+                        endFailedVideo(hypeDocument, video);
+                    }
+                }
+            }, stallTimeout);
+
+            stallMonitors.set(video, timer);
+        }
+
+        /**
+         * Clears the stall monitor for a specific video.
+         *
+         * @param {HTMLVideoElement} video The video element.
+         */
+        function clearStallMonitor(video) {
+            if (stallMonitors.has(video)) {
+                clearTimeout(stallMonitors.get(video));
+                stallMonitors.delete(video);
+            }
+        }
+
+        /**
+         * Ends a video that failed during playback. Members of a sync group fail
+         * together, ending on behalf of the master.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function endFailedVideo(hypeDocument, video) {
+            clearStallMonitor(video);
+
+            const group = getSyncGroup(video);
+            if (group) {
+                group.members.forEach(member => {
+                    syncHolds.delete(member);
+                    member.pause();
+                });
+                declareVideoEnded(hypeDocument, group.master);
+                return;
+            }
+
+            video.pause();
+            declareVideoEnded(hypeDocument, video);
+        }
+
+        /**
+         * Gives up on a video by firing "Video Error" and, if endOnStall is
+         * enabled, declaring the video as ended.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function failVideo(hypeDocument, video) {
+            clearVideoRecovery(video);
+            updateVideoState(hypeDocument, video, { recoveryAttempt: 0 });
+            triggerVideoEvent(hypeDocument, 'Video Error', video);
+
+            if (getVideoSetting(video, 'endOnStall')) {
+                console.log(`"endOnStall" is true. Triggering "Video Ended" as a fallback.`);
+                endFailedVideo(hypeDocument, video);
+            }
+        }
+
+        /**
+         * Gets the URLs a video can fall back to: its current source, the other
+         * <source> elements and the fallbackSrc setting.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Array} - Absolute URLs, current source first
+         */
+        function getSourceCandidates(video) {
+            const urls = [];
+            const add = url => {
+                if (!url) return;
+                const absolute = new URL(url, document.baseURI).href;
+                if (!urls.includes(absolute)) urls.push(absolute);
+            };
+
+            add(video.getAttribute('data-video-src') || video.currentSrc || video.getAttribute('src'));
+            video.querySelectorAll('source').forEach(source => add(source.getAttribute('src')));
+            add(getVideoSetting(video, 'fallbackSrc'));
+            return urls;
+        }
+
+        /**
+         * Reloads a video from the given URL and continues at the given position
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {String} url - The source URL
+         * @param {Number} position - The position to continue at in seconds
+         */
+        function reloadVideoSource(hypeDocument, video, url, position) {
+            video.addEventListener('loadedmetadata', () => {
+                if (position) video.currentTime = position;
+                video.play().catch(error => {
+                    console.warn(`Failed to resume video after reload: ${video.id || 'unnamed'}`, error);
+                });
+            }, { once: true });
+
+            if (video.hasAttribute('data-video-src')) {
+                // Adapters are attached again, so streaming sources are rebuilt too
+                video.setAttribute('data-video-src', url);
+                detachVideoSource(video);
+                attachVideoSource(hypeDocument, video);
+                if (!attachedSources.has(video) || !attachedSources.get(video).teardown) video.load();
+            } else if (video.currentSrc !== url) {
+                video.src = url;
+            } else {
+                video.load();
+            }
+        }
+
+        /**
+         * Runs the next recovery stage with exponential backoff: the first attempt
+         * nudges currentTime, the second reloads the source at the last position and
+         * further attempts move on to alternate sources. Once recoveryRetries attempts
+         * failed, the video fails with "Video Error".
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {String} reason - What triggered the recovery (stall, error or source)
+         */
+        function recoverVideo(hypeDocument, video, reason) {
+            let recovery = recoveryStates.get(video);
+            if (!recovery) {
+                recovery = {
+                    attempt: 0,
+                    reason,
+                    position: video.currentTime,
+                    candidates: getSourceCandidates(video),
+                    candidateIndex: 0,
+                    timer: null,
+                    progressFrom: null,
+                };
+                recoveryStates.set(video, recovery);
+            }
+            clearTimeout(recovery.timer);
+            clearStallMonitor(video);
+
+            if (recovery.attempt >= getVideoSetting(video, 'recoveryRetries')) {
+                console.warn(`Video recovery failed after ${recovery.attempt} attempts: ${video.id || 'unnamed'}`);
+                failVideo(hypeDocument, video);
+                return;
+            }
+
+            recovery.attempt++;
+            updateVideoState(hypeDocument, video, { recoveryAttempt: recovery.attempt });
+            triggerVideoEvent(hypeDocument, 'Video Recovering', video);
+
+            const delay = getVideoSetting(video, 'recoveryDelay') * Math.pow(2, recovery.attempt - 1);
+            recovery.timer = setTimeout(() => {
+                const attempt = recovery.attempt;
+                recovery.progressFrom = null;
+
+                if (recovery.attempt === 1) {
+                    video.currentTime = Math.max(video.currentTime, recovery.position) + 0.1;
+                    video.play().catch(() => {});
+                } else {
+                    // Retry the current source once, then walk through the alternates
+                    if (recovery.attempt > 2 && recovery.candidateIndex < recovery.candidates.length - 1) {
+                        recovery.candidateIndex++;
+                    }
+                    const url = recovery.candidates[recovery.candidateIndex];
+                    if (url) {
+                        reloadVideoSource(hypeDocument, video, url, recovery.position);
+                    } else {
+                        video.load();
+                    }
+                }
+
+                // A source error while reloading may already have moved on to the next stage
+                if (recoveryStates.get(video) !== recovery || recovery.attempt !== attempt) return;
+
+                // Move on if playback didn't continue within the stall timeout
+                recovery.timer = setTimeout(() => {
+                    if (recoveryStates.get(video) === recovery) recoverVideo(hypeDocument, video, reason);
+                }, getVideoSetting(video, 'stallTimeout'));
+            }, delay);
+        }
+
+        /**
+         * Fires "Video Recovered" once playback progresses again after a recovery stage
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function checkVideoRecovered(hypeDocument, video) {
+            const recovery = recoveryStates.get(video);
+            if (!recovery || video.paused || video.seeking) return;
+
+            if (recovery.progressFrom === null) {
+                recovery.progressFrom = video.currentTime;
+                return;
+            }
+            if (video.currentTime > recovery.progressFrom) {
+                clearVideoRecovery(video);
+                updateVideoState(hypeDocument, video, { recoveryAttempt: 0 });
+                triggerVideoEvent(hypeDocument, 'Video Recovered', video);
+            }
+        }
+
+        /**
+         * Cancels a running recovery
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function clearVideoRecovery(video) {
+            const recovery = recoveryStates.get(video);
+            if (!recovery) return;
+            clearTimeout(recovery.timer);
+            recoveryStates.delete(video);
+        }
+
+        /**
+         * Handles a media error of a video in the current scene by recovering it
+         * (recoveryRetries) or failing it right away.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function handleMediaError(hypeDocument, video) {
+            if (!isVideoInCurrentScene(hypeDocument, video)) return;
+            console.warn(`Video error for video: ${video.id || 'unnamed'}`, video.error);
+
+            if (recoveryStates.has(video) || getVideoSetting(video, 'recoveryRetries') > 0) {
+                recoverVideo(hypeDocument, video, 'error');
+            } else {
+                failVideo(hypeDocument, video);
+            }
+        }
+
+        /**
+         * Parses a cue list in the format "2.5:Logo In, 10:Chapter 2"
+         *
+         * @param {String} value - The cue list string
+         * @returns {Array} - Array of {time, behavior} objects
+         */
+        function parseVideoCues(value) {
+            if (!value) return [];
+            return value.split(',').map(entry => {
+                const separator = entry.indexOf(':');
+                if (separator === -1) return null;
+                const time = parseFloat(entry.slice(0, separator));
+                const behavior = entry.slice(separator + 1).trim();
+                return (!isNaN(time) && time >= 0 && behavior) ? { time, behavior } : null;
+            }).filter(Boolean);
+        }
+
+        /**
+         * Adds a cue point to a video. The cue fires its custom behavior once
+         * when playback crosses the given time.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} time - The time in seconds
+         * @param {String} behavior - The custom behavior name to trigger
+         */
+        function addVideoCue(video, time, behavior) {
+            if (!videoCues.has(video)) {
+                videoCues.set(video, { cues: [], lastTime: video.currentTime });
+            }
+            const state = videoCues.get(video);
+            state.cues.push({ time, behavior, fired: time < state.lastTime });
+            state.cues.sort((a, b) => a.time - b.time);
+        }
+
+        /**
+         * Fires all cues that playback crossed since the last time update.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function processVideoCues(hypeDocument, video) {
+            const state = videoCues.get(video);
+            if (!state) return;
+
+            const currentTime = video.currentTime;
+            state.cues.forEach(cue => {
+                if (!cue.fired && cue.time >= state.lastTime && cue.time <= currentTime) {
+                    cue.fired = true;
+                    triggerVideoEvent(hypeDocument, cue.behavior, video);
+                }
+            });
+            state.lastTime = currentTime;
+        }
+
+        /**
+         * Re-arms all cues after the current position (e.g. after seeking back).
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function rearmVideoCues(video) {
+            const state = videoCues.get(video);
+            if (!state) return;
+
+            const currentTime = video.currentTime;
+            state.cues.forEach(cue => {
+                if (cue.time >= currentTime) cue.fired = false;
+            });
+            state.lastTime = currentTime;
+        }
+
+        /**
+         * Clears all cues for a specific video.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function clearVideoCues(video) {
+            videoCues.delete(video);
+        }
+
+        /**
+         * Registers the cues declared with data-video-cues for videos in the current scene.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupVideoCues(hypeDocument) {
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+            const videos = currentScene.querySelectorAll('video[data-video-cues]');
+
+            videos.forEach(video => {
+                parseVideoCues(video.getAttribute('data-video-cues')).forEach(cue => {
+                    addVideoCue(video, cue.time, cue.behavior);
+                });
+            });
+        }
+
+        /**
+         * Moves all timelines linked with data-video-timeline to the video's currentTime.
+         * The timeline time is (currentTime - offset) * rate, using data-video-timeline-offset
+         * and data-video-timeline-rate if present.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function syncVideoTimelines(hypeDocument, video) {
+            const timelines = video.getAttribute('data-video-timeline');
+            if (!timelines) return;
+
+            const offset = parseFloat(video.getAttribute('data-video-timeline-offset')) || 0;
+            const rateValue = parseFloat(video.getAttribute('data-video-timeline-rate'));
+            const rate = isNaN(rateValue) ? 1 : rateValue;
+            const time = Math.max(0, (video.currentTime - offset) * rate);
+
+            timelines.split(',').forEach(timelineName => {
+                timelineName = timelineName.trim();
+                if (!timelineName) return;
+                hypeDocument.pauseTimelineNamed(timelineName);
+                hypeDocument.goToTimeInTimelineNamed(time, timelineName);
+            });
+        }
+
+        /**
+         * Starts driving the linked timelines every animation frame while the video plays.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function startTimelineSync(hypeDocument, video) {
+            if (!video.hasAttribute('data-video-timeline')) return;
+            stopTimelineSync(video);
+
+            const step = () => {
+                syncVideoTimelines(hypeDocument, video);
+                if (video.paused || video.ended) {
+                    timelineLoops.delete(video);
+                    return;
+                }
+                timelineLoops.set(video, requestAnimationFrame(step));
+            };
+            step();
+        }
+
+        /**
+         * Stops driving the linked timelines of a video.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function stopTimelineSync(video) {
+            if (timelineLoops.has(video)) {
+                cancelAnimationFrame(timelineLoops.get(video));
+                timelineLoops.delete(video);
+            }
+        }
+
+        /**
+         * Parses a playlist in the format "intro.mp4, part2.mp4"
+         *
+         * @param {String} value - The playlist string
+         * @returns {Array} - Array of source URLs
+         */
+        function parseVideoPlaylist(value) {
+            if (!value) return [];
+            return value.split(',').map(url => url.trim()).filter(Boolean);
+        }
+
+        /**
+         * Assigns a playlist to a video and loads its first item. Passing an
+         * empty list removes the playlist and restores the video's own sources.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Array} items - Array of source URLs
+         * @param {Object} [options] - Playlist options (loop, preload)
+         */
+        function setVideoPlaylist(video, items, options = {}) {
+            clearPlaylistPreload(video);
+
+            const previous = videoPlaylists.get(video);
+            if (!items || !items.length) {
+                if (previous) {
+                    videoPlaylists.delete(video);
+                    if (previous.originalSrc) {
+                        video.setAttribute('src', previous.originalSrc);
+                    } else {
+                        video.removeAttribute('src');
+                    }
+                    video.load();
+                }
+                return;
+            }
+
+            videoPlaylists.set(video, {
+                items: items.slice(),
+                index: 0,
+                loop: !!options.loop,
+                preload: options.preload !== false,
+                failures: 0,
+                preloader: null,
+                fromAttribute: !!options.fromAttribute,
+                originalSrc: previous ? previous.originalSrc : video.getAttribute('src'),
+            });
+            loadPlaylistItem(video, 0);
+        }
+
+        /**
+         * Loads a playlist item into the video and preloads the following one.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} index - The playlist index
+         */
+        function loadPlaylistItem(video, index) {
+            const playlist = videoPlaylists.get(video);
+            if (!playlist || !playlist.items[index]) return;
+
+            playlist.index = index;
+            if (video.getAttribute('src') !== playlist.items[index]) {
+                video.src = playlist.items[index];
+            }
+            preloadNextPlaylistItem(video);
+        }
+
+        /**
+         * Preloads the next playlist item in a detached video element so the
+         * browser has it buffered when the current item ends.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function preloadNextPlaylistItem(video) {
+            const playlist = videoPlaylists.get(video);
+            clearPlaylistPreload(video);
+            if (!playlist || !playlist.preload) return;
+
+            let nextIndex = playlist.index + 1;
+            if (nextIndex >= playlist.items.length) {
+                if (!playlist.loop) return;
+                nextIndex = 0;
+            }
+            if (playlist.items[nextIndex] === playlist.items[playlist.index]) return;
+
+            const preloader = document.createElement('video');
+            preloader.preload = 'auto';
+            preloader.muted = true;
+            preloader.src = playlist.items[nextIndex];
+            playlist.preloader = preloader;
+        }
+
+        /**
+         * Releases the preloading element of a playlist.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function clearPlaylistPreload(video) {
+            const playlist = videoPlaylists.get(video);
+            if (playlist && playlist.preloader) {
+                playlist.preloader.removeAttribute('src');
+                playlist.preloader.load();
+                playlist.preloader = null;
+            }
+        }
+
+        /**
+         * Loads and plays a playlist item and fires "Video Playlist Item Changed".
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} index - The playlist index
+         */
+        function playPlaylistItem(hypeDocument, video, index) {
+            loadPlaylistItem(video, index);
+            triggerVideoEvent(hypeDocument, 'Video Playlist Item Changed', video);
+
+            const playPromise = video.play();
+            if (playPromise !== undefined) {
+                playPromise.catch(error => {
+                    // A newer source replaced this one before it started, nothing to handle
+                    if (error && error.name === 'AbortError') return;
+                    handleAutoplayFailure(hypeDocument, video, error);
+                });
+            }
+        }
+
+        /**
+         * Advances a playlist to its next item, wrapping around if it loops.
+         * Fires "Video Playlist Ended" when there is no next item.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Boolean} - Whether playback continues with another item
+         */
+        function advanceVideoPlaylist(hypeDocument, video) {
+            const playlist = videoPlaylists.get(video);
+            if (!playlist) return false;
+
+            // Stop looping if every item in the list failed to play in a row
+            const exhausted = playlist.failures >= playlist.items.length;
+            let nextIndex = playlist.index + 1;
+
+            if (nextIndex >= playlist.items.length || exhausted) {
+                if (!playlist.loop || exhausted) {
+                    playlist.failures = 0;
+                    triggerVideoEvent(hypeDocument, 'Video Playlist Ended', video);
+                    return false;
+                }
+                nextIndex = 0;
+            }
+
+            playPlaylistItem(hypeDocument, video, nextIndex);
+            return true;
+        }
+
+        /**
+         * Parses an onEnded action: next-scene, previous-scene, scene:<name>,
+         * timeline:<name>, loop or loop:<count>
+         *
+         * @param {String} value - The action string
+         * @returns {Object|null} - The action as {type, target, count}, or null
+         */
+        function parseEndedAction(value) {
+            if (!value || value === 'none') return null;
+
+            const separator = value.indexOf(':');
+            const type = (separator === -1 ? value : value.slice(0, separator)).trim().toLowerCase();
+            const target = separator === -1 ? '' : value.slice(separator + 1).trim();
+
+            switch (type) {
+                case 'next-scene':
+                case 'previous-scene':
+                    return { type };
+                case 'scene':
+                case 'timeline':
+                    if (target) return { type, target };
+                    break;
+                case 'loop': {
+                    const count = target ? parseInt(target, 10) : Infinity;
+                    if (count > 0) return { type, count };
+                    break;
+                }
+            }
+
+            const warning = `onEnded:${value}`;
+            if (!settingWarnings.has(warning)) {
+                settingWarnings.add(warning);
+                console.warn(`Invalid video ended action "${value}". Use next-scene, previous-scene, scene:<name>, timeline:<name> or loop:<count>.`);
+            }
+            return null;
+        }
+
+        /**
+         * Runs the scene navigation of an onEnded action with the video's
+         * onEndedTransition and onEndedDuration
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Object} action - The parsed action
+         */
+        function runEndedAction(hypeDocument, video, action) {
+            const transition = sceneTransitions[getVideoSetting(video, 'onEndedTransition')];
+            const duration = getVideoSetting(video, 'onEndedDuration');
+
+            switch (action.type) {
+                case 'next-scene':
+                    hypeDocument.showNextScene(hypeDocument[transition], duration);
+                    break;
+                case 'previous-scene':
+                    hypeDocument.showPreviousScene(hypeDocument[transition], duration);
+                    break;
+                case 'scene':
+                    if (hypeDocument.sceneNames && !hypeDocument.sceneNames().includes(action.target)) {
+                        console.warn(`Video ended action: scene "${action.target}" not found.`);
+                        return;
+                    }
+                    hypeDocument.showSceneNamed(action.target, hypeDocument[transition], duration);
+                    break;
+                case 'timeline':
+                    hypeDocument.startTimelineNamed(action.target, hypeDocument.kDirectionForward);
+                    break;
+            }
+        }
+
+        /**
+         * Declares a video as ended. Videos with a playlist continue with the
+         * next item, looping videos (onEnded loop:<count>) play again, otherwise
+         * "Video Ended" is triggered and the onEnded action runs.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function declareVideoEnded(hypeDocument, video) {
+            if (advanceVideoPlaylist(hypeDocument, video)) return;
+
+            const action = parseEndedAction(getVideoSetting(video, 'onEnded'));
+            if (action && action.type === 'loop' && isVideoInCurrentScene(hypeDocument, video)) {
+                const loops = endedLoops.get(video) || 0;
+                if (loops < action.count) {
+                    endedLoops.set(video, loops + 1);
+                    video.currentTime = 0;
+                    video.play().catch(error => {
+                        console.warn(`Failed to loop video: ${video.id || 'unnamed'}`, error);
+                    });
+                    return;
+                }
+            }
+            endedLoops.delete(video);
+
+            triggerVideoEvent(hypeDocument, 'Video Ended', video);
+
+            // Same guard as the events: videos of hidden scenes don't navigate
+            if (action && action.type !== 'loop' && isVideoInCurrentScene(hypeDocument, video)) {
+                runEndedAction(hypeDocument, video, action);
+            }
+        }
+
+        /**
+         * Handles a rejected play() call by marking the video, firing
+         * "Video Autoplay Failed" and optionally declaring the video as ended.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Error} error - The rejection reason
+         */
+        function handleAutoplayFailure(hypeDocument, video, error) {
+            // Autoplay was blocked by the browser.
+            console.warn(`Autoplay failed for video: ${video.id || 'unnamed'}`, error);
+
+            // Mark that this video failed to autoplay for state management
+            video.setAttribute('data-autoplay-failed', 'true');
+            triggerVideoEvent(hypeDocument, 'Video Autoplay Failed', video);
+            trackEngagement(hypeDocument, video, 'autoplayFailed', { reason: error && error.name });
+
+            const playlist = videoPlaylists.get(video);
+            if (playlist) playlist.failures++;
+
+            switch (getVideoSetting(video, 'autoplayFailAction')) {
+                case 'overlay':
+                    showAutoplayOverlay(hypeDocument, video);
+                    break;
+
+                case 'wait-gesture':
+                    gesturePendingVideos.add({ hypeDocument, video });
+                    break;
+
+                case 'end':
+                    // Check if we should trigger the ended event as a fallback.
+                    if (getVideoSetting(video, 'endOnAutoplayFail')) {
+                        console.log(`Triggering "Video Ended" due to autoplay failure.`);
+                        // Use a small timeout to ensure this happens in the next event loop tick.
+                        setTimeout(() => {
+                            declareVideoEnded(hypeDocument, video);
+                        }, 0);
+                    }
+                    break;
+            }
+        }
+
+        /**
+         * Plays a video whose autoplay was blocked, from within a user gesture.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function recoverAutoplay(video) {
+            video.removeAttribute('data-autoplay-failed');
+            removeAutoplayOverlay(video);
+            video.play().catch(error => {
+                console.warn(`Failed to play video after user gesture: ${video.id || 'unnamed'}`, error);
+            });
+        }
+
+        /**
+         * Shows a tap-to-play overlay on top of a video whose autoplay was blocked.
+         * The label is set with autoplayOverlayLabel, the look with the
+         * HypeVideoAutoplayOverlay class.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function showAutoplayOverlay(hypeDocument, video) {
+            if (autoplayOverlays.has(video) || !video.parentNode) return;
+            injectControlStyles();
+
+            const label = getVideoSetting(video, 'autoplayOverlayLabel');
+            const overlay = document.createElement('div');
+            overlay.className = 'HypeVideoAutoplayOverlay';
+            overlay.setAttribute('role', 'button');
+            overlay.setAttribute('tabindex', '0');
+            overlay.setAttribute('aria-label', label);
+            overlay.innerHTML = '<span class="HypeVideoAutoplayOverlay-label"></span>';
+            overlay.firstChild.textContent = label;
+
+            const activate = event => {
+                event.preventDefault();
+                event.stopPropagation();
+                recoverAutoplay(video);
+            };
+            overlay.addEventListener('click', activate);
+            overlay.addEventListener('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') activate(event);
+            });
+
+            // Remove the overlay if the video gets started some other way
+            video.addEventListener('playing', () => removeAutoplayOverlay(video), { once: true });
+
+            video.parentNode.insertBefore(overlay, video.nextSibling);
+            positionVideoOverlay(video, overlay);
+            autoplayOverlays.set(video, overlay);
+        }
+
+        /**
+         * Removes the tap-to-play overlay of a video
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function removeAutoplayOverlay(video) {
+            if (autoplayOverlays.has(video)) {
+                autoplayOverlays.get(video).remove();
+                autoplayOverlays.delete(video);
+            }
+        }
+
+        /**
+         * Handles the first user gesture: retries videos waiting for a gesture
+         * (autoplayFailAction "wait-gesture") and unmutes auto-muted videos in the
+         * current scenes (unmuteOnGesture) as well as resumed videos that were unmuted.
+         */
+        function handleUserGesture() {
+            gesturePendingVideos.forEach(entry => {
+                if (isVideoInCurrentScene(entry.hypeDocument, entry.video)) {
+                    recoverAutoplay(entry.video);
+                }
+            });
+            gesturePendingVideos.clear();
+
+            hypeDocuments.forEach(hypeDocument => {
+                const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+                if (!currentScene) return;
+
+                currentScene.querySelectorAll('video').forEach(video => {
+                    const resumeUnmuted = pendingUnmuteVideos.delete(video);
+                    if ((autoMutedVideos.delete(video) && getVideoSetting(video, 'unmuteOnGesture')) || resumeUnmuted) {
+                        video.muted = false;
+                    }
+                });
+            });
+
+            // Audio contexts start suspended until the user interacts (webAudio)
+            if (audioContext && audioContext.state === 'suspended') {
+                audioContext.resume().catch(error => {
+                    console.warn('Failed to resume the audio context:', error);
+                });
+            }
+        }
+
+        /**
+         * Sets up playlists declared with data-video-playlist for videos in the
+         * current scene and rewinds existing playlists to their first item.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupVideoPlaylists(hypeDocument) {
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+            const videos = currentScene.querySelectorAll('video');
+
+            videos.forEach(video => {
+                const playlist = videoPlaylists.get(video);
+                const value = video.getAttribute('data-video-playlist');
+
+                if (value && (!playlist || playlist.fromAttribute)) {
+                    setVideoPlaylist(video, parseVideoPlaylist(value), {
+                        loop: video.getAttribute('data-video-playlist-loop') === 'true',
+                        preload: video.getAttribute('data-video-playlist-preload') !== 'false',
+                        fromAttribute: true,
+                    });
+                } else if (playlist) {
+                    playlist.failures = 0;
+                    loadPlaylistItem(video, 0);
+                }
+            });
+        }
+
+        /**
+         * Formats seconds as m:ss or h:mm:ss
+         *
+         * @param {Number} seconds - The time in seconds
+         * @returns {String} - The formatted time
+         */
+        function formatVideoTime(seconds) {
+            seconds = isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : 0;
+            const hours = Math.floor(seconds / 3600);
+            const minutes = Math.floor((seconds % 3600) / 60);
+            const secs = String(seconds % 60).padStart(2, '0');
+            return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+        }
+
+        /**
+         * Toggles between play and pause
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function toggleVideoPlayback(video) {
+            if (video.paused || video.ended) {
+                video.play().catch(error => {
+                    console.warn(`Failed to play video: ${video.id || 'unnamed'}`, error);
+                });
+            } else {
+                video.pause();
+            }
+        }
+
+        /**
+         * Seeks a video by a relative amount of seconds, clamped to its duration
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} delta - Seconds to seek (negative to rewind)
+         */
+        function seekVideoBy(video, delta) {
+            const duration = isFinite(video.duration) ? video.duration : 0;
+            video.currentTime = Math.min(Math.max(0, video.currentTime + delta), duration);
+        }
+
+        /**
+         * Injects the default control bar styles once per page. The styles only use
+         * the HypeVideoControls classes, so they can be overridden in the Head HTML.
+         */
+        function injectControlStyles() {
+            if (!_default.controlStyles || document.getElementById('HypeVideoControllerStyles')) return;
+
+            const style = document.createElement('style');
+            style.id = 'HypeVideoControllerStyles';
+            style.textContent = [
+                '.HypeVideoControls{position:absolute;display:flex;flex-direction:column;justify-content:flex-end;pointer-events:none;}',
+                '.HypeVideoControls-bar{display:flex;align-items:center;gap:8px;padding:6px 10px;background:rgba(0,0,0,.6);color:#fff;font:12px/1 sans-serif;pointer-events:auto;}',
+                '.HypeVideoControls-bar button{background:none;border:0;color:inherit;font:inherit;cursor:pointer;padding:4px;}',
+                '.HypeVideoControls-scrub{flex:1;min-width:0;}',
+                '.HypeVideoControls-time{white-space:nowrap;font-variant-numeric:tabular-nums;}',
+                '.HypeVideoAutoplayOverlay{display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,.4);cursor:pointer;}',
+                '.HypeVideoAutoplayOverlay-label{padding:12px 20px;border-radius:24px;background:rgba(0,0,0,.7);color:#fff;font:16px/1 sans-serif;}',
+            ].join('\n');
+            document.head.appendChild(style);
+        }
+
+        /**
+         * Handles keyboard control for control bars and bound control elements.
+         * Space/K toggles playback, M toggles mute, arrow keys seek.
+         *
+         * @param {KeyboardEvent} event - The keyboard event
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Boolean} - Whether the key was handled
+         */
+        function handleControlKey(event, video) {
+            const seekStep = getVideoSetting(video, 'seekStep');
+            switch (event.key) {
+                case ' ':
+                case 'k':
+                    toggleVideoPlayback(video);
+                    return true;
+                case 'm':
+                    video.muted = !video.muted;
+                    return true;
+                case 'ArrowLeft':
+                    seekVideoBy(video, -seekStep);
+                    return true;
+                case 'ArrowRight':
+                    seekVideoBy(video, seekStep);
+                    return true;
+            }
+            return false;
+        }
+
+        /**
+         * Positions an overlay element exactly on top of a video element.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {HTMLElement} overlay - The overlay element (a sibling of the video)
+         */
+        function positionVideoOverlay(video, overlay) {
+            const zIndex = parseInt(window.getComputedStyle(video).zIndex, 10);
+            Object.assign(overlay.style, {
+                position: 'absolute',
+                left: `${video.offsetLeft}px`,
+                top: `${video.offsetTop}px`,
+                width: `${video.offsetWidth}px`,
+                height: `${video.offsetHeight}px`,
+                zIndex: isNaN(zIndex) ? '' : String(zIndex + 1),
+            });
+        }
+
+        /**
+         * Creates the custom control bar for a video with data-video-controls="custom".
+         * The bar is added once and repositioned every time the scene is prepared.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function setupControlBar(video) {
+            if (controlBars.has(video)) {
+                positionVideoOverlay(video, controlBars.get(video));
+                return;
+            }
+            injectControlStyles();
+            video.controls = false;
+
+            const overlay = document.createElement('div');
+            overlay.className = 'HypeVideoControls';
+            overlay.innerHTML = `
+                <div class="HypeVideoControls-bar" role="group" aria-label="Video controls">
+                    <button type="button" class="HypeVideoControls-toggle" aria-label="Play">&#9654;</button>
+                    <input type="range" class="HypeVideoControls-scrub" min="0" max="100" step="0.1" value="0" aria-label="Seek">
+                    <span class="HypeVideoControls-time" aria-live="off">0:00 / 0:00</span>
+                    <button type="button" class="HypeVideoControls-mute" aria-label="Mute">&#128266;</button>
+                </div>`;
+
+            const toggleButton = overlay.querySelector('.HypeVideoControls-toggle');
+            const scrub = overlay.querySelector('.HypeVideoControls-scrub');
+            const time = overlay.querySelector('.HypeVideoControls-time');
+            const muteButton = overlay.querySelector('.HypeVideoControls-mute');
+            let scrubbing = false;
+
+            toggleButton.addEventListener('click', () => toggleVideoPlayback(video));
+            muteButton.addEventListener('click', () => { video.muted = !video.muted; });
+            scrub.addEventListener('input', () => {
+                scrubbing = true;
+                if (isFinite(video.duration)) {
+                    video.currentTime = (scrub.value / 100) * video.duration;
+                }
+            });
+            scrub.addEventListener('change', () => { scrubbing = false; });
+            overlay.addEventListener('keydown', event => {
+                // Let the range input handle its own arrow keys
+                if (event.target === scrub && event.key.startsWith('Arrow')) return;
+                if (event.target.tagName === 'BUTTON' && event.key === ' ') return;
+                if (handleControlKey(event, video)) event.preventDefault();
+            });
+
+            addStateListener(video, state => {
+                const playing = !state.paused && !video.ended;
+                overlay.classList.toggle('is-playing', playing);
+                overlay.classList.toggle('is-muted', state.muted);
+                toggleButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+                toggleButton.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+                muteButton.setAttribute('aria-label', state.muted ? 'Unmute' : 'Mute');
+                muteButton.innerHTML = state.muted ? '&#128263;' : '&#128266;';
+                if (!scrubbing) scrub.value = state.percent;
+                scrub.setAttribute('aria-valuetext', `${formatVideoTime(state.currentTime)} of ${formatVideoTime(state.duration)}`);
+                time.textContent = `${formatVideoTime(state.currentTime)} / ${formatVideoTime(state.duration)}`;
+            });
+
+            video.parentNode.insertBefore(overlay, video.nextSibling);
+            positionVideoOverlay(video, overlay);
+            controlBars.set(video, overlay);
+        }
+
+        /**
+         * Binds a Hype element with data-video-control="play|pause|toggle|mute|scrub|time"
+         * to its target video (data-video-target, or the first video in the scene).
+         *
+         * @param {HTMLElement} element - The control element
+         * @param {HTMLVideoElement} video - The target video element
+         */
+        function bindControlElement(element, video) {
+            const control = element.getAttribute('data-video-control');
+            const isButton = ['play', 'pause', 'toggle', 'mute'].includes(control);
+            const defaultLabels = { play: 'Play', pause: 'Pause', toggle: 'Play', mute: 'Mute', scrub: 'Seek' };
+
+            if (isButton || control === 'scrub') {
+                if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '0');
+                if (!element.hasAttribute('aria-label')) element.setAttribute('aria-label', defaultLabels[control]);
+                element.setAttribute('role', isButton ? 'button' : 'slider');
+                element.style.cursor = 'pointer';
+            }
+
+            const actions = {
+                play: () => video.play().catch(error => console.warn(`Failed to play video: ${video.id || 'unnamed'}`, error)),
+                pause: () => video.pause(),
+                toggle: () => toggleVideoPlayback(video),
+                mute: () => { video.muted = !video.muted; },
+            };
+
+            if (isButton) {
+                element.addEventListener('click', actions[control]);
+                element.addEventListener('keydown', event => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        actions[control]();
+                    }
+                });
+            }
+
+            if (control === 'scrub') {
+                const seekToPointer = event => {
+                    const rect = element.getBoundingClientRect();
+                    if (!rect.width || !isFinite(video.duration)) return;
+                    const percent = Math.min(Math.max(0, (event.clientX - rect.left) / rect.width), 1);
+                    video.currentTime = percent * video.duration;
+                };
+                element.addEventListener('pointerdown', event => {
+                    element.setPointerCapture && element.setPointerCapture(event.pointerId);
+                    seekToPointer(event);
+                    const move = moveEvent => seekToPointer(moveEvent);
+                    const up = () => {
+                        element.removeEventListener('pointermove', move);
+                        element.removeEventListener('pointerup', up);
+                        element.removeEventListener('pointercancel', up);
+                    };
+                    element.addEventListener('pointermove', move);
+                    element.addEventListener('pointerup', up);
+                    element.addEventListener('pointercancel', up);
+                });
+                element.addEventListener('keydown', event => {
+                    if (handleControlKey(event, video)) event.preventDefault();
+                });
+                element.setAttribute('aria-valuemin', '0');
+                element.setAttribute('aria-valuemax', '100');
+            }
+
+            addStateListener(video, state => {
+                const playing = !state.paused && !video.ended;
+                element.classList.toggle('is-playing', playing);
+                element.classList.toggle('is-muted', state.muted);
+
+                if (control === 'toggle') {
+                    element.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+                    element.setAttribute('aria-pressed', String(playing));
+                }
+                if (control === 'mute') {
+                    element.setAttribute('aria-pressed', String(state.muted));
+                }
+                if (control === 'scrub') {
+                    const percent = `${state.percent}%`;
+                    element.style.setProperty('--video-progress', percent);
+                    element.setAttribute('aria-valuenow', state.percent.toFixed(1));
+                    element.setAttribute('aria-valuetext', `${formatVideoTime(state.currentTime)} of ${formatVideoTime(state.duration)}`);
+                    const fill = element.querySelector('[data-video-control-fill]');
+                    if (fill) fill.style.width = percent;
+                }
+                if (control === 'time') {
+                    element.textContent = `${formatVideoTime(state.currentTime)} / ${formatVideoTime(state.duration)}`;
+                }
+            });
+        }
+
+        /**
+         * Sets up control bars and bound control elements in the current scene.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupVideoControls(hypeDocument) {
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+
+            currentScene.querySelectorAll('video[data-video-controls="custom"]').forEach(video => {
+                setupControlBar(video);
+            });
+
+            currentScene.querySelectorAll('[data-video-control]').forEach(element => {
+                if (boundControls.has(element)) return;
+                const video = hypeDocument.getVideo(element.getAttribute('data-video-target'));
+                if (!video) return;
+                bindControlElement(element, video);
+                boundControls.add(element);
+            });
+        }
+
+        /**
+         * Parses a WebVTT or SRT timestamp (hh:mm:ss.mmm, mm:ss.mmm or hh:mm:ss,mmm)
+         *
+         * @param {String} value - The timestamp
+         * @returns {Number} - The time in seconds (NaN if invalid)
+         */
+        function parseTimestamp(value) {
+            const parts = value.trim().replace(',', '.').split(':').map(parseFloat);
+            if (parts.length < 2 || parts.some(isNaN)) return NaN;
+            return parts.reduce((total, part) => total * 60 + part, 0);
+        }
+
+        /**
+         * Parses the cues of a WebVTT or SRT file
+         *
+         * @param {String} text - The file contents
+         * @returns {Array} - Array of {id, start, end, text} objects
+         */
+        function parseCueFile(text) {
+            const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+            const cues = [];
+
+            blocks.forEach(block => {
+                const lines = block.split('\n').filter(line => line.trim() !== '');
+                const timingIndex = lines.findIndex(line => line.includes('-->'));
+                if (timingIndex === -1) return;
+
+                const [startValue, endValue] = lines[timingIndex].split('-->');
+                const start = parseTimestamp(startValue);
+                // Strip WebVTT cue settings such as "align:start"
+                const end = parseTimestamp(endValue.trim().split(/\s+/)[0]);
+                if (isNaN(start) || isNaN(end)) return;
+
+                cues.push({
+                    id: timingIndex > 0 ? lines[timingIndex - 1].trim() : '',
+                    start: start,
+                    end: end,
+                    text: lines.slice(timingIndex + 1).join('\n'),
+                });
+            });
+            return cues;
+        }
+
+        /**
+         * Parses a caption list in the format "captions.vtt" or "en:captions-en.vtt, de:captions-de.srt"
+         *
+         * @param {String} value - The caption list string
+         * @returns {Array} - Array of {lang, url} objects
+         */
+        function parseCaptionList(value) {
+            if (!value) return [];
+            return value.split(',').map(entry => {
+                entry = entry.trim();
+                const match = entry.match(/^([a-z]{2,3}(?:-[A-Za-z0-9]+)?):(.+)$/);
+                return match ? { lang: match[1], url: match[2].trim() } : { lang: '', url: entry };
+            }).filter(entry => entry.url);
+        }
+
+        /**
+         * Gets the subtitle and caption tracks of a video
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Array} - Array of TextTrack objects
+         */
+        function getCaptionTracks(video) {
+            return Array.from(video.textTracks || []).filter(track => track.kind === 'subtitles' || track.kind === 'captions');
+        }
+
+        /**
+         * Gets the caption state of a video
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Object} - The caption state (lang, target)
+         */
+        function getCaptionState(video) {
+            if (!captionStates.has(video)) {
+                captionStates.set(video, { lang: null, target: null });
+            }
+            return captionStates.get(video);
+        }
+
+        /**
+         * Shows the captions of a language and disables all other caption tracks.
+         * Captions render natively unless a target element is set, in which case
+         * the track stays hidden and the cues are rendered into the target.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {String|Boolean} lang - The language code, true for the first track or false to turn captions off
+         */
+        function applyCaptionLanguage(video, lang) {
+            const captionState = getCaptionState(video);
+            const tracks = getCaptionTracks(video);
+
+            if (lang === true) {
+                lang = captionState.lang || (tracks[0] ? tracks[0].language : '');
+            }
+            captionState.lang = lang === false || lang === 'off' ? false : lang;
+
+            let activeTrack = null;
+            tracks.forEach(track => {
+                if (captionState.lang !== false && !activeTrack && track.language === captionState.lang) {
+                    activeTrack = track;
+                    track.mode = captionState.target ? 'hidden' : 'showing';
+                } else {
+                    track.mode = 'disabled';
+                }
+            });
+        }
+
+        /**
+         * Renders the active cues of a caption track into the target element
+         * and fires "Video Caption Changed". The cue text is available as
+         * captionText in the video state.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {TextTrack} track - The text track whose cues changed
+         */
+        function handleCaptionChange(hypeDocument, video, track) {
+            if (track.mode === 'disabled') return;
+
+            const captionState = getCaptionState(video);
+            const text = Array.from(track.activeCues || []).map(cue => cue.text).join('\n');
+            const target = captionState.target ? hypeDocument.getElementById(captionState.target) : null;
+
+            if (target) {
+                target.innerHTML = '';
+                text.split('\n').forEach((line, index) => {
+                    if (index) target.appendChild(document.createElement('br'));
+                    target.appendChild(document.createTextNode(line));
+                });
+            }
+
+            readVideoState(video, { captionText: text });
+            triggerVideoEvent(hypeDocument, 'Video Caption Changed', video);
+        }
+
+        /**
+         * Listens for cue changes on all caption tracks of a video
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function watchCaptionTracks(hypeDocument, video) {
+            getCaptionTracks(video).forEach(track => {
+                if (captionTracks.has(track)) return;
+                track.addEventListener('cuechange', () => handleCaptionChange(hypeDocument, video, track));
+                captionTracks.add(track);
+            });
+        }
+
+        /**
+         * Loads a WebVTT or SRT file and adds it as a subtitle track
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Object} entry - The caption entry ({lang, url})
+         * @returns {Promise} - Resolves when the track was added
+         */
+        function loadCaptionTrack(hypeDocument, video, entry) {
+            return fetch(entry.url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.text();
+                })
+                .then(text => {
+                    const track = video.addTextTrack('subtitles', entry.lang || 'Captions', entry.lang);
+                    track.mode = 'hidden';
+                    parseCueFile(text).forEach(cue => {
+                        track.addCue(new VTTCue(cue.start, cue.end, cue.text));
+                    });
+                    watchCaptionTracks(hypeDocument, video);
+                })
+                .catch(error => {
+                    console.warn(`Failed to load captions "${entry.url}":`, error);
+                });
+        }
+
+        /**
+         * Sets up captions declared with data-video-captions for videos in the current scene.
+         * Files are only loaded once per video.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupVideoCaptions(hypeDocument) {
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+
+            currentScene.querySelectorAll('video').forEach(video => {
+                const captionState = getCaptionState(video);
+                captionState.target = video.getAttribute('data-video-captions-target') || captionState.target;
+                watchCaptionTracks(hypeDocument, video);
+
+                const value = video.getAttribute('data-video-captions');
+                if (!value || captionState.loaded || !window.VTTCue) return;
+                captionState.loaded = true;
+
+                const entries = parseCaptionList(value);
+                if (!entries.length) return;
+                const lang = video.getAttribute('data-video-captions-lang');
+                if (captionState.lang === null) {
+                    captionState.lang = lang === 'off' ? false : (lang || entries[0].lang);
+                }
+
+                Promise.all(entries.map(entry => loadCaptionTrack(hypeDocument, video, entry))).then(() => {
+                    applyCaptionLanguage(video, captionState.lang);
+                });
+            });
+        }
+
+        /**
+         * Normalizes a list of chapters: sorts them by start time, assigns ids
+         * and calculates missing end times from the following chapter.
+         *
+         * @param {Array} chapters - Array of {id, title, start, end} objects
+         * @returns {Array} - The normalized chapters
+         */
+        function normalizeChapters(chapters) {
+            return chapters
+                .filter(chapter => chapter && !isNaN(parseFloat(chapter.start)))
+                .map(chapter => ({ ...chapter, start: parseFloat(chapter.start) }))
+                .sort((a, b) => a.start - b.start)
+                .map((chapter, index, list) => ({
+                    id: String(chapter.id || chapter.title || index + 1),
+                    title: chapter.title || String(chapter.id || index + 1),
+                    start: chapter.start,
+                    end: chapter.end !== undefined ? parseFloat(chapter.end) : (list[index + 1] ? list[index + 1].start : Infinity),
+                }));
+        }
+
+        /**
+         * Assigns chapters to a video
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Array} chapters - Array of {id, title, start, end} objects
+         */
+        function setVideoChapters(video, chapters) {
+            videoChapters.set(video, { chapters: normalizeChapters(chapters || []), current: -1 });
+        }
+
+        /**
+         * Gets the index of the chapter at a given time
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} time - The time in seconds
+         * @returns {Number} - The chapter index or -1
+         */
+        function getChapterIndexAt(video, time) {
+            const state = videoChapters.get(video);
+            if (!state) return -1;
+            return state.chapters.findIndex(chapter => time >= chapter.start && time < chapter.end);
+        }
+
+        /**
+         * Resolves a chapter by id or index
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {String|Number} chapterIdOrIndex - The chapter id or 0-based index
+         * @returns {Number} - The chapter index or -1
+         */
+        function resolveChapterIndex(video, chapterIdOrIndex) {
+            const state = videoChapters.get(video);
+            if (!state) return -1;
+            if (typeof chapterIdOrIndex === 'number') {
+                return state.chapters[chapterIdOrIndex] ? chapterIdOrIndex : -1;
+            }
+            return state.chapters.findIndex(chapter => chapter.id === String(chapterIdOrIndex));
+        }
+
+        /**
+         * Fires "Video Chapter Entered" and "Video Chapter Entered <chapter>"
+         * when playback moves into another chapter.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function processVideoChapters(hypeDocument, video) {
+            const state = videoChapters.get(video);
+            if (!state) return;
+
+            const index = getChapterIndexAt(video, video.currentTime);
+            if (index === state.current) return;
+
+            state.current = index;
+            readVideoState(video, { chapter: index === -1 ? null : state.chapters[index].id });
+            if (index === -1) return;
+
+            triggerVideoEvent(hypeDocument, 'Video Chapter Entered', video);
+            triggerVideoEvent(hypeDocument, `Video Chapter Entered ${state.chapters[index].id}`, video);
+        }
+
+        /**
+         * Loads chapters declared with data-video-chapters for videos in the current
+         * scene, either as JSON or as the URL of a WebVTT chapters file.
+         * Chapters are only loaded once per video.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupVideoChapters(hypeDocument) {
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+
+            currentScene.querySelectorAll('video[data-video-chapters]').forEach(video => {
+                if (videoChapters.has(video)) {
+                    videoChapters.get(video).current = -1;
+                    return;
+                }
+
+                const value = video.getAttribute('data-video-chapters').trim();
+                if (value.startsWith('[')) {
+                    try {
+                        setVideoChapters(video, JSON.parse(value));
+                    } catch (error) {
+                        console.warn(`Invalid JSON in data-video-chapters:`, error);
+                    }
+                    return;
+                }
+
+                setVideoChapters(video, []);
+                fetch(value)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.text();
+                    })
+                    .then(text => {
+                        setVideoChapters(video, parseCueFile(text).map(cue => ({
+                            id: cue.id,
+                            title: cue.text,
+                            start: cue.start,
+                            end: cue.end,
+                        })));
+                        processVideoChapters(hypeDocument, video);
+                    })
+                    .catch(error => {
+                        console.warn(`Failed to load chapters "${value}":`, error);
+                    });
+            });
+        }
+
+        /**
+         * Validates a branching graph. Segments are {video, start, end, next, decision},
+         * decisions are {from, until, choices: [{id, element, segment}], default}.
+         *
+         * @param {Object} graph - The branching graph
+         * @returns {Boolean} - True if the graph is valid
+         */
+        function validateBranchGraph(graph) {
+            const segments = graph && graph.segments;
+            const invalid = message => {
+                console.warn(`Invalid branching graph: ${message}`);
+                return false;
+            };
+
+            if (!segments || typeof segments !== 'object') return invalid('"segments" is missing.');
+            if (!segments[graph.start]) return invalid(`start segment "${graph.start}" not found.`);
+
+            for (const id of Object.keys(segments)) {
+                const segment = segments[id];
+                if (segment.next && !segments[segment.next]) return invalid(`next segment "${segment.next}" of "${id}" not found.`);
+
+                const decision = segment.decision;
+                if (!decision) continue;
+                if (!Array.isArray(decision.choices) || !decision.choices.length) return invalid(`decision of "${id}" has no choices.`);
+                for (const choice of decision.choices) {
+                    if (!choice.id || !segments[choice.segment]) return invalid(`choice "${choice.id}" of "${id}" needs an id and an existing segment.`);
+                }
+                if (decision.default && !decision.choices.some(choice => choice.id === decision.default)) {
+                    return invalid(`default choice "${decision.default}" of "${id}" not found.`);
+                }
+            }
+            return true;
+        }
+
+        /**
+         * Gets the video element a segment plays in: its video name, or the video
+         * that holds the graph
+         *
+         * @param {Object} branching - The branching state
+         * @param {Object} segment - The segment
+         * @returns {HTMLVideoElement|null} - The video element
+         */
+        function getSegmentVideo(branching, segment) {
+            if (!segment.video) return branching.host;
+            const scene = branching.host.closest('.HYPE_scene');
+            return scene ? scene.querySelector(`video[data-video-name="${segment.video}"]`) : null;
+        }
+
+        /**
+         * Gets the choice elements of a decision: the Hype element with the choice's
+         * element id, or the element with data-video-choice="<choice id>" in the scene
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {Object} branching - The branching state
+         * @param {Object} choice - The choice
+         * @returns {HTMLElement|null} - The choice element
+         */
+        function getChoiceElement(hypeDocument, branching, choice) {
+            if (choice.element) return hypeDocument.getElementById(choice.element);
+            const scene = branching.host.closest('.HYPE_scene');
+            return scene ? scene.querySelector(`[data-video-choice="${choice.id}"]`) : null;
+        }
+
+        /**
+         * Shows or hides the choice elements of a segment's decision
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {Object} branching - The branching state
+         * @param {Object} segment - The segment
+         * @param {Boolean} visible - Whether to show the choices
+         */
+        function toggleBranchChoices(hypeDocument, branching, segment, visible) {
+            if (!segment.decision) return;
+            segment.decision.choices.forEach(choice => {
+                const element = getChoiceElement(hypeDocument, branching, choice);
+                if (!element) return;
+                element.style.display = visible ? '' : 'none';
+                element.setAttribute('aria-hidden', visible ? 'false' : 'true');
+
+                if (!boundChoices.has(element)) {
+                    boundChoices.add(element);
+                    element.style.cursor = 'pointer';
+                    element.addEventListener('click', () => {
+                        const binding = choiceBindings.get(element);
+                        if (binding) chooseBranch(binding.hypeDocument, binding.branching, binding.choiceId);
+                    });
+                }
+                choiceBindings.set(element, visible ? { hypeDocument, branching, choiceId: choice.id } : null);
+            });
+        }
+
+        /**
+         * Jumps to a segment: switches the playing video if the segment is in
+         * another one, seeks to the segment start and records it in the path
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {Object} branching - The branching state
+         * @param {String} segmentId - The segment id
+         * @param {String} [choiceId] - The choice that led to the segment
+         */
+        function enterBranchSegment(hypeDocument, branching, segmentId, choiceId) {
+            const segment = branching.graph.segments[segmentId];
+            const video = getSegmentVideo(branching, segment);
+            if (!video) {
+                console.warn(`Video "${segment.video}" of segment "${segmentId}" not found.`);
+                return;
+            }
+
+            const previous = branching.video;
+            if (branching.segment) {
+                toggleBranchChoices(hypeDocument, branching, branching.graph.segments[branching.segment], false);
+            }
+
+            branching.segment = segmentId;
+            branching.video = video;
+            branching.decision = 'pending';
+            branching.path.push(choiceId ? { segment: segmentId, choice: choiceId } : { segment: segmentId });
+            branchVideos.set(video, branching);
+
+            // Segments in another video swap the visible video and continue playback there
+            const wasPlaying = previous && !previous.paused;
+            if (previous && previous !== video) {
+                branchVideos.delete(previous);
+                inactiveBranchVideos.add(previous);
+                inactiveBranchVideos.delete(video);
+                previous.pause();
+                previous.style.visibility = 'hidden';
+                video.style.visibility = '';
+            }
+
+            const start = segment.start || 0;
+            if (Math.abs(video.currentTime - start) > 0.05) video.currentTime = start;
+            if (wasPlaying && video.paused) {
+                video.play().catch(error => {
+                    console.warn(`Failed to play branch video: ${video.id || 'unnamed'}`, error);
+                });
+            }
+
+            updateVideoState(hypeDocument, branching.host, { branchSegment: segmentId });
+        }
+
+        /**
+         * Chooses a branch of the open decision
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {Object} branching - The branching state
+         * @param {String} choiceId - The choice id
+         * @returns {Boolean} - True if the choice was taken
+         */
+        function chooseBranch(hypeDocument, branching, choiceId) {
+            const segment = branching.graph.segments[branching.segment];
+            const choice = segment.decision && segment.decision.choices.find(choice => choice.id === choiceId);
+            if (!choice || branching.decision === 'closed') return false;
+
+            const video = branching.video;
+            const wasPlaying = !video.paused || branching.waiting;
+            branching.decision = 'closed';
+            branching.waiting = false;
+
+            triggerVideoEvent(hypeDocument, 'Video Branch Chosen', branching.host);
+            triggerVideoEvent(hypeDocument, `Video Branch Chosen ${choice.id}`, branching.host);
+            enterBranchSegment(hypeDocument, branching, choice.segment, choice.id);
+
+            if (wasPlaying && branching.video.paused) {
+                branching.video.play().catch(error => {
+                    console.warn(`Failed to continue after branch "${choice.id}"`, error);
+                });
+            }
+            return true;
+        }
+
+        /**
+         * Opens and closes decision windows and follows segment ends while the
+         * active video of a branching graph plays
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function processVideoBranches(hypeDocument, video) {
+            const branching = branchVideos.get(video);
+            if (!branching || branching.video !== video || video.seeking) return;
+
+            const segment = branching.graph.segments[branching.segment];
+            const time = video.currentTime;
+            const end = segment.end === undefined ? Infinity : segment.end;
+            const decision = segment.decision;
+
+            if (decision) {
+                const until = decision.until === undefined ? end : decision.until;
+
+                if (branching.decision === 'pending' && time >= (decision.from || 0) && time < until) {
+                    branching.decision = 'open';
+                    toggleBranchChoices(hypeDocument, branching, segment, true);
+                    triggerVideoEvent(hypeDocument, 'Video Decision Shown', branching.host);
+                }
+
+                if (branching.decision !== 'closed' && time >= until) {
+                    if (decision.default) {
+                        chooseBranch(hypeDocument, branching, decision.default);
+                    } else if (!branching.waiting) {
+                        // Without a default the video waits at the end of the window
+                        branching.waiting = true;
+                        video.pause();
+                    }
+                }
+                return;
+            }
+
+            if (time >= end) {
+                if (segment.next) {
+                    enterBranchSegment(hypeDocument, branching, segment.next);
+                } else if (!video.paused) {
+                    video.pause();
+                    declareVideoEnded(hypeDocument, branching.host);
+                }
+            }
+        }
+
+        /**
+         * Checks segment ends and decision windows on every frame where
+         * requestVideoFrameCallback is available, timeupdate covers the other browsers
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The active video of a branching graph
+         */
+        function watchVideoBranches(hypeDocument, video) {
+            const branching = branchVideos.get(video);
+            if (!video.requestVideoFrameCallback || !branching || branching.watching === video || video.paused) return;
+            branching.watching = video;
+
+            const onFrame = () => {
+                if (branchVideos.get(video) !== branching || branching.video !== video || video.paused) {
+                    if (branching.watching === video) branching.watching = null;
+                    return;
+                }
+                processVideoBranches(hypeDocument, video);
+                video.requestVideoFrameCallback(onFrame);
+            };
+            video.requestVideoFrameCallback(onFrame);
+        }
+
+        /**
+         * Follows the end of a segment that runs until its video ends: takes the
+         * default choice of an open decision, waits for a choice without one, or
+         * enters the next segment
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video that ended
+         * @returns {Boolean} - True if the branching graph handled the end
+         */
+        function endBranchSegment(hypeDocument, video) {
+            const branching = branchVideos.get(video);
+            if (!branching || branching.video !== video) return false;
+
+            const segment = branching.graph.segments[branching.segment];
+            const decision = segment.decision;
+            if (decision && branching.decision !== 'closed') {
+                // Continue playback with the choice, whenever it is made
+                branching.waiting = true;
+                if (decision.default) chooseBranch(hypeDocument, branching, decision.default);
+                return true;
+            }
+
+            if (segment.next) {
+                enterBranchSegment(hypeDocument, branching, segment.next);
+                branching.video.play().catch(error => {
+                    console.warn(`Failed to continue with segment "${segment.next}"`, error);
+                });
+                return true;
+            }
+
+            // The graph ends in another video, it ends on behalf of the host
+            if (video !== branching.host) {
+                declareVideoEnded(hypeDocument, branching.host);
+                return true;
+            }
+            return false;
+        }
+
+        /**
+         * Sets a branching graph on a video and starts at its start segment
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video that holds the graph
+         * @param {Object} graph - The branching graph
+         * @returns {Boolean} - True if the graph was set
+         */
+        function setVideoBranches(hypeDocument, video, graph) {
+            if (!validateBranchGraph(graph)) return false;
+
+            clearVideoBranches(hypeDocument, video);
+            const branching = { graph, host: video, video: null, segment: null, decision: 'pending', waiting: false, watching: null, path: [] };
+            videoBranches.set(video, branching);
+
+            // Only the video of the start segment plays, the others wait hidden and rewound
+            const startVideo = getSegmentVideo(branching, graph.segments[graph.start]);
+            Object.keys(graph.segments).forEach(id => {
+                toggleBranchChoices(hypeDocument, branching, graph.segments[id], false);
+                const segmentVideo = getSegmentVideo(branching, graph.segments[id]);
+                if (!segmentVideo || segmentVideo === startVideo) return;
+                inactiveBranchVideos.add(segmentVideo);
+                segmentVideo.style.visibility = 'hidden';
+                if (!segmentVideo.paused) segmentVideo.pause();
+                segmentVideo.currentTime = 0;
+            });
+            if (startVideo) {
+                inactiveBranchVideos.delete(startVideo);
+                startVideo.style.visibility = '';
+            }
+            enterBranchSegment(hypeDocument, branching, graph.start);
+            return true;
+        }
+
+        /**
+         * Removes the branching graph of a video and hides its choices
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video that holds the graph
+         */
+        function clearVideoBranches(hypeDocument, video) {
+            const branching = videoBranches.get(video);
+            if (!branching) return;
+
+            Object.keys(branching.graph.segments).forEach(id => {
+                toggleBranchChoices(hypeDocument, branching, branching.graph.segments[id], false);
+                const segmentVideo = getSegmentVideo(branching, branching.graph.segments[id]);
+                if (segmentVideo) inactiveBranchVideos.delete(segmentVideo);
+            });
+            if (branching.video) branchVideos.delete(branching.video);
+            videoBranches.delete(video);
+        }
+
+        /**
+         * Sets up branching graphs declared with data-video-branches (inline JSON or
+         * the URL of a JSON file) for videos in the current scene. The path restarts
+         * on every visit.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupVideoBranches(hypeDocument) {
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+
+            currentScene.querySelectorAll('video[data-video-branches]').forEach(video => {
+                // Set up before the scene autoplays, so only the start segment's video plays
+                const existing = videoBranches.get(video);
+                if (existing) {
+                    setVideoBranches(hypeDocument, video, existing.graph);
+                    return;
+                }
+
+                const value = video.getAttribute('data-video-branches').trim();
+                if (value.startsWith('{')) {
+                    try {
+                        setVideoBranches(hypeDocument, video, JSON.parse(value));
+                    } catch (error) {
+                        console.warn(`Invalid JSON in data-video-branches:`, error);
+                    }
+                    return;
+                }
+
+                fetch(value)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.json();
+                    })
+                    .then(graph => {
+                        if (isVideoInCurrentScene(hypeDocument, video)) setVideoBranches(hypeDocument, video, graph);
+                    })
+                    .catch(error => {
+                        console.warn(`Failed to load branches "${value}":`, error);
+                    });
+            });
+        }
+
+        /**
+         * Gets the sync group of a video. The master is the member with
+         * data-video-sync-master="true", or the first member of the group.
+         *
+         * @param {HTMLVideoElement} video - A video element of the group
+         * @returns {Object|null} - The group ({name, master, members}) or null
+         */
+        function getSyncGroup(video) {
+            const name = video.getAttribute('data-video-sync-group');
+            const sceneElement = video.closest('.HYPE_scene');
+            if (!name || !sceneElement) return null;
+            return findSyncGroup(sceneElement, name);
+        }
+
+        /**
+         * Finds a sync group by name within a scene element
+         *
+         * @param {HTMLElement} sceneElement - The scene element
+         * @param {String} name - The sync group name
+         * @returns {Object|null} - The group ({name, master, members}) or null
+         */
+        function findSyncGroup(sceneElement, name) {
+            const members = Array.from(sceneElement.querySelectorAll('video[data-video-sync-group]'))
+                .filter(member => member.getAttribute('data-video-sync-group') === name);
+            if (!members.length) return null;
+
+            const master = members.find(member => member.getAttribute('data-video-sync-master') === 'true') || members[0];
+            return { name, master, members };
+        }
+
+        /**
+         * Corrects the drift of all followers against the master clock. Small drifts
+         * are corrected by nudging the playbackRate, large drifts by seeking.
+         *
+         * @param {Object} group - The sync group
+         */
+        function correctSyncDrift(group) {
+            const master = group.master;
+            if (master.paused || group.members.some(member => syncHolds.has(member))) return;
+
+            const tolerance = getVideoSetting(master, 'syncTolerance') / 1000;
+            const seekThreshold = getVideoSetting(master, 'syncSeekThreshold') / 1000;
+
+            group.members.forEach(follower => {
+                if (follower === master || follower.ended) return;
+
+                if (follower.paused) {
+                    follower.play().catch(() => {});
+                    return;
+                }
+
+                const drift = follower.currentTime - master.currentTime;
+                if (Math.abs(drift) > seekThreshold) {
+                    follower.currentTime = master.currentTime;
+                    follower.playbackRate = master.playbackRate;
+                } else if (Math.abs(drift) > tolerance) {
+                    follower.playbackRate = master.playbackRate * (drift > 0 ? 0.95 : 1.05);
+                } else if (follower.playbackRate !== master.playbackRate) {
+                    follower.playbackRate = master.playbackRate;
+                }
+            });
+        }
+
+        /**
+         * Starts the drift correction loop of a sync group master
+         *
+         * @param {HTMLVideoElement} master - The master video element
+         */
+        function startSyncLoop(master) {
+            stopSyncLoop(master);
+            syncLoops.set(master, setInterval(() => {
+                const group = getSyncGroup(master);
+                if (group && group.master === master) correctSyncDrift(group);
+            }, 250));
+        }
+
+        /**
+         * Stops the drift correction loop of a sync group master
+         *
+         * @param {HTMLVideoElement} master - The master video element
+         */
+        function stopSyncLoop(master) {
+            if (syncLoops.has(master)) {
+                clearInterval(syncLoops.get(master));
+                syncLoops.delete(master);
+            }
+        }
+
+        /**
+         * Holds all other members of a group while one member is waiting for data
+         *
+         * @param {HTMLVideoElement} video - The waiting member
+         */
+        function holdSyncGroup(video) {
+            const group = getSyncGroup(video);
+            if (!group) return;
+
+            group.members.forEach(member => {
+                if (member !== video && !member.paused) {
+                    syncHolds.add(member);
+                    member.pause();
+                }
+            });
+        }
+
+        /**
+         * Resumes the held members of a group once the waiting member plays again
+         *
+         * @param {HTMLVideoElement} video - The member that resumed playback
+         */
+        function releaseSyncGroup(video) {
+            const group = getSyncGroup(video);
+            if (!group) return;
+
+            group.members.forEach(member => {
+                if (member !== video && syncHolds.has(member)) {
+                    member.currentTime = group.master === video ? video.currentTime : group.master.currentTime;
+                    member.play().catch(() => syncHolds.delete(member));
+                }
+            });
+        }
+
+        /**
+         * Sets up the listeners that keep the followers of a sync group in lockstep
+         * with the master clock for videos in the current scene.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupSyncGroups(hypeDocument) {
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+
+            currentScene.querySelectorAll('video[data-video-sync-group]').forEach(video => {
+                if (syncedVideos.has(video)) return;
+                syncedVideos.add(video);
+
+                const isMaster = () => {
+                    const group = getSyncGroup(video);
+                    return group && group.master === video ? group : null;
+                };
+
+                video.addEventListener('play', () => {
+                    const group = isMaster();
+                    if (!group || syncHolds.has(video)) return;
+                    group.members.forEach(member => {
+                        if (member !== video && member.paused && !member.ended) {
+                            member.currentTime = video.currentTime;
+                            member.play().catch(() => {});
+                        }
+                    });
+                });
+
+                video.addEventListener('playing', () => {
+                    if (isMaster()) startSyncLoop(video);
+                    releaseSyncGroup(video);
+                });
+
+                video.addEventListener('pause', () => {
+                    const group = isMaster();
+                    if (!group) return;
+                    stopSyncLoop(video);
+                    if (syncHolds.has(video)) return;
+                    group.members.forEach(member => {
+                        if (member !== video && !syncHolds.has(member)) member.pause();
+                    });
+                });
+
+                video.addEventListener('seeked', () => {
+                    const group = isMaster();
+                    if (!group) return;
+                    group.members.forEach(member => {
+                        if (member !== video && Math.abs(member.currentTime - video.currentTime) > 0.001) {
+                            member.currentTime = video.currentTime;
+                        }
+                    });
+                });
+
+                video.addEventListener('waiting', () => {
+                    holdSyncGroup(video);
+                });
+            });
+        }
+
+        /**
+         * Handles a video entering or leaving the viewport. In "play" mode videos
+         * pause when they leave and play when they enter, in "pause" mode they
+         * only pause when they leave.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Boolean} inViewport - Whether the video is now in the viewport
+         */
+        function handleViewportChange(hypeDocument, video, inViewport) {
+            const viewportState = viewportStates.get(video);
+            if (!viewportState || viewportState.inViewport === inViewport) return;
+
+            const isInitial = viewportState.inViewport === null;
+            viewportState.inViewport = inViewport;
+            const mode = getVideoSetting(video, 'viewport');
+
+            if (inViewport) {
+                if (!isInitial) triggerVideoEvent(hypeDocument, 'Video Entered Viewport', video);
+
+                const notStarted = video.paused && !video.ended && video.currentTime === 0;
+                if (mode === 'play' && (viewportState.pausedByViewport || (!isInitial && notStarted))) {
+                    video.play().catch(error => {
+                        console.warn(`Failed to play video entering the viewport: ${video.id || 'unnamed'}`, error);
+                    });
+                }
+                viewportState.pausedByViewport = false;
+            } else {
+                if (!isInitial) triggerVideoEvent(hypeDocument, 'Video Left Viewport', video);
+
+                if (!video.paused) {
+                    viewportState.pausedByViewport = true;
+                    video.pause();
+                }
+            }
+        }
+
+        /**
+         * Observes the videos in the current scene that have a viewport mode
+         * ("play" or "pause") with an IntersectionObserver.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupViewportObservers(hypeDocument) {
+            if (!window.IntersectionObserver) return;
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+
+            currentScene.querySelectorAll('video').forEach(video => {
+                const mode = getVideoSetting(video, 'viewport');
+                if (mode !== 'play' && mode !== 'pause') return;
+
+                stopViewportObserver(video);
+                const threshold = Math.min(Math.max(0, getVideoSetting(video, 'viewportThreshold')), 1);
+                viewportStates.set(video, { inViewport: null, pausedByViewport: false });
+
+                const observer = new IntersectionObserver(entries => {
+                    entries.forEach(entry => {
+                        const inViewport = entry.isIntersecting && entry.intersectionRatio >= threshold;
+                        // A video that starts off-screen is paused as soon as its autoplay kicks in
+                        if (!inViewport && video.paused && viewportStates.get(video).inViewport === null) {
+                            video.addEventListener('playing', () => {
+                                if (viewportStates.has(video) && !viewportStates.get(video).inViewport) {
+                                    viewportStates.get(video).pausedByViewport = true;
+                                    video.pause();
+                                }
+                            }, { once: true });
+                        }
+                        handleViewportChange(hypeDocument, video, inViewport);
+                    });
+                }, { threshold: threshold === 0 ? [0] : [0, threshold] });
+
+                observer.observe(video);
+                viewportObservers.set(video, observer);
+            });
+        }
+
+        /**
+         * Stops observing a video's viewport visibility
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function stopViewportObserver(video) {
+            if (viewportObservers.has(video)) {
+                viewportObservers.get(video).disconnect();
+                viewportObservers.delete(video);
+            }
+            viewportStates.delete(video);
+        }
+
+        /**
+         * Pauses playing videos in the current scenes while the page is hidden
+         * (pauseOnHidden) and resumes them when it becomes visible again.
+         */
+        function handleVisibilityChange() {
+            const hidden = document.visibilityState === 'hidden';
+
+            hypeDocuments.forEach(hypeDocument => {
+                const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+                if (!currentScene) return;
+
+                currentScene.querySelectorAll('video').forEach(video => {
+                    if (hidden) {
+                        if (!video.paused && getVideoSetting(video, 'pauseOnHidden')) {
+                            hiddenPausedVideos.add(video);
+                            video.pause();
+                        }
+                    } else if (hiddenPausedVideos.delete(video)) {
+                        const viewportState = viewportStates.get(video);
+                        if (viewportState && viewportState.inViewport === false) {
+                            viewportState.pausedByViewport = true;
+                            return;
+                        }
+                        video.play().catch(error => {
+                            console.warn(`Failed to resume video: ${video.id || 'unnamed'}`, error);
+                        });
+                    }
+                });
+            });
+        }
+
+        /**
+         * Registers a tracking sink that receives engagement records of tracked videos.
+         * A sink is a function or an object with a name and send(record, hypeDocument).
+         *
+         * @param {Function|Object} sink - The tracking sink
+         */
+        function registerTrackingSink(sink) {
+            if (typeof sink === 'function') sink = { send: sink };
+            if (!sink || typeof sink.send !== 'function') {
+                console.warn('Tracking sinks need to be a function or an object with send(record, hypeDocument).');
+                return;
+            }
+            unregisterTrackingSink(sink.name);
+            trackingSinks.push(sink);
+        }
+
+        /**
+         * Removes a registered tracking sink
+         *
+         * @param {String|Function|Object} nameOrSink - The sink name or the registered sink
+         */
+        function unregisterTrackingSink(nameOrSink) {
+            const index = trackingSinks.findIndex(sink => {
+                return nameOrSink && (sink === nameOrSink || sink.send === nameOrSink || sink.name === nameOrSink);
+            });
+            if (index !== -1) trackingSinks.splice(index, 1);
+        }
+
+        /**
+         * Sends the queued beacon records of an endpoint as one JSON array
+         *
+         * @param {String} endpoint - The endpoint URL
+         */
+        function flushBeaconQueue(endpoint) {
+            const queue = beaconQueues.get(endpoint);
+            if (!queue || !queue.length) return;
+            beaconQueues.delete(endpoint);
+
+            const body = JSON.stringify(queue);
+            if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) return;
+            if (window.fetch) {
+                fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } }).catch(error => {
+                    console.warn(`Failed to send engagement data to ${endpoint}`, error);
+                });
+            }
+        }
+
+        /**
+         * Sends all queued beacon records (scene unload and page hide)
+         */
+        function flushBeaconQueues() {
+            Array.from(beaconQueues.keys()).forEach(flushBeaconQueue);
+        }
+
+        /**
+         * Gets the engagement data of a video, creating it on first use
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Object|null} - The engagement data, or null if tracking is off
+         */
+        function getEngagement(hypeDocument, video) {
+            if (!getVideoSetting(video, 'tracking')) return null;
+
+            if (!videoEngagement.has(video)) {
+                videoEngagement.set(video, {
+                    hypeDocument,
+                    ranges: [],
+                    heatmap: new Array(getVideoSetting(video, 'trackingHeatmapBuckets')).fill(0),
+                    watchTime: 0,
+                    lastTime: video.currentTime,
+                    plays: 0,
+                    pauses: 0,
+                    seeks: 0,
+                    stalls: 0,
+                    autoplayFailures: 0,
+                    completions: 0,
+                });
+            }
+            return videoEngagement.get(video);
+        }
+
+        /**
+         * Adds a played segment to the watched ranges and the heatmap
+         *
+         * @param {Object} engagement - The engagement data
+         * @param {Number} from - Segment start in seconds
+         * @param {Number} to - Segment end in seconds
+         * @param {Number} duration - The video duration in seconds
+         */
+        function addWatchedSegment(engagement, from, to, duration) {
+            engagement.watchTime += to - from;
+
+            // Merge into the sorted, non-overlapping ranges
+            const ranges = engagement.ranges;
+            ranges.push([from, to]);
+            ranges.sort((a, b) => a[0] - b[0]);
+            engagement.ranges = ranges.reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push(range);
+                }
+                return merged;
+            }, []);
+
+            // Seconds watched per heatmap bucket, so rewatched parts count again
+            if (!isFinite(duration) || duration <= 0) return;
+            const buckets = engagement.heatmap.length;
+            const size = duration / buckets;
+            for (let i = Math.floor(from / size); i < buckets && i * size < to; i++) {
+                const overlap = Math.min(to, (i + 1) * size) - Math.max(from, i * size);
+                if (overlap > 0) engagement.heatmap[i] += overlap;
+            }
+        }
+
+        /**
+         * Builds the engagement summary of a video
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Object|null} - The summary, or null if the video isn't tracked
+         */
+        function getEngagementSummary(video) {
+            const engagement = videoEngagement.get(video);
+            if (!engagement) return null;
+
+            const duration = isFinite(video.duration) ? video.duration : 0;
+            const watched = engagement.ranges.reduce((sum, range) => sum + range[1] - range[0], 0);
+            return {
+                name: video.getAttribute('data-video-name') || video.id || null,
+                duration,
+                watchTime: Math.round(engagement.watchTime * 100) / 100,
+                watchedPercent: duration ? Math.min(100, Math.round((watched / duration) * 100)) : 0,
+                ranges: engagement.ranges.map(range => [Math.round(range[0] * 100) / 100, Math.round(range[1] * 100) / 100]),
+                heatmap: engagement.heatmap.map(seconds => Math.round(seconds * 100) / 100),
+                plays: engagement.plays,
+                pauses: engagement.pauses,
+                seeks: engagement.seeks,
+                stalls: engagement.stalls,
+                autoplayFailures: engagement.autoplayFailures,
+                completions: engagement.completions,
+                completed: engagement.completions > 0,
+            };
+        }
+
+        /**
+         * Records an engagement event of a tracked video and hands it to the sinks:
+         * registered sinks, postMessage to the host page (trackingPostMessage) and
+         * batched beacons (trackingEndpoint).
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {String} type - play, pause, seek, stall, autoplayFailed, complete or summary
+         * @param {Object} [details] - Additional record fields
+         */
+        function trackEngagement(hypeDocument, video, type, details) {
+            const engagement = getEngagement(hypeDocument, video);
+            if (!engagement) return;
+
+            switch (type) {
+                case 'play': engagement.plays++; break;
+                case 'pause': engagement.pauses++; break;
+                case 'seek': engagement.seeks++; break;
+                case 'stall': engagement.stalls++; break;
+                case 'autoplayFailed': engagement.autoplayFailures++; break;
+                case 'complete': engagement.completions++; break;
+            }
+
+            const record = {
+                type,
+                document: hypeDocument.documentName(),
+                scene: sceneNames.get(video.closest('.HYPE_scene')) || null,
+                video: video.getAttribute('data-video-name') || video.id || null,
+                time: Math.round(video.currentTime * 100) / 100,
+                timestamp: Date.now(),
+                ...details,
+            };
+
+            trackingSinks.forEach(sink => {
+                try {
+                    sink.send(record, hypeDocument);
+                } catch (error) {
+                    console.warn(`Tracking sink ${sink.name || 'unnamed'} failed`, error);
+                }
+            });
+
+            // Records only go to the origins allowed by messageOrigins
+            if (getVideoSetting(video, 'trackingPostMessage') && window.parent) {
+                getBridgeOrigins(hypeDocument).forEach(targetOrigin => {
+                    try {
+                        window.parent.postMessage({ type: 'HypeVideoController:engagement', record }, targetOrigin);
+                    } catch (error) {
+                        console.warn('Failed to post engagement record:', error);
+                    }
+                });
+            }
+
+            const endpoint = getVideoSetting(video, 'trackingEndpoint');
+            if (endpoint) {
+                if (!beaconQueues.has(endpoint)) beaconQueues.set(endpoint, []);
+                const queue = beaconQueues.get(endpoint);
+                queue.push(record);
+                if (queue.length >= getVideoSetting(video, 'trackingBatchSize')) flushBeaconQueue(endpoint);
+            }
+        }
+
+        /**
+         * Adds the time played since the last timeupdate to the engagement data.
+         * Jumps (seeks or source changes) are not counted as watched.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function processVideoEngagement(hypeDocument, video) {
+            const engagement = getEngagement(hypeDocument, video);
+            if (!engagement) return;
+
+            const from = engagement.lastTime;
+            const to = video.currentTime;
+            engagement.lastTime = to;
+
+            const delta = to - from;
+            if (!video.paused && !video.seeking && delta > 0 && delta <= 1.5 * (video.playbackRate || 1)) {
+                addWatchedSegment(engagement, from, to, video.duration);
+            }
+        }
+
+        /**
+         * Sets up engagement tracking listeners for a video
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function setupVideoEngagement(hypeDocument, video) {
+            video.addEventListener('playing', () => {
+                if (!syncHolds.has(video)) trackEngagement(hypeDocument, video, 'play');
+            });
+            video.addEventListener('pause', () => {
+                processVideoEngagement(hypeDocument, video);
+                if (!video.ended && !syncHolds.has(video)) trackEngagement(hypeDocument, video, 'pause');
+            });
+            video.addEventListener('timeupdate', () => {
+                processVideoEngagement(hypeDocument, video);
+            });
+            video.addEventListener('seeking', () => {
+                const engagement = getEngagement(hypeDocument, video);
+                if (!engagement) return;
+                const from = engagement.lastTime;
+                engagement.lastTime = video.currentTime;
+                if (Math.abs(video.currentTime - from) > 0.5) {
+                    trackEngagement(hypeDocument, video, 'seek', { from: Math.round(from * 100) / 100 });
+                }
+            });
+            video.addEventListener('emptied', () => {
+                const engagement = videoEngagement.get(video);
+                if (engagement) engagement.lastTime = 0;
+            });
+            video.addEventListener('ended', () => {
+                processVideoEngagement(hypeDocument, video);
+                trackEngagement(hypeDocument, video, 'complete');
+            });
+        }
+
+        /**
+         * Gets the origins allowed to talk to a document over the message bridge
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @returns {Array} - Allowed origins, '*' allows any origin
+         */
+        function getBridgeOrigins(hypeDocument) {
+            const origins = getDocumentSetting(hypeDocument, 'messageOrigins')
+                .split(',')
+                .map(origin => origin.trim())
+                .filter(Boolean);
+            return origins.length ? origins : [window.location.origin];
+        }
+
+        /**
+         * Posts a bridge message to a window, once per allowed origin
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {Window} target - The receiving window
+         * @param {Object} message - The message
+         * @param {String} [origin] - Known origin of the receiver
+         */
+        function postBridgeMessage(hypeDocument, target, message, origin) {
+            const payload = {
+                source: 'HypeVideoController',
+                document: hypeDocument.documentId(),
+                documentName: hypeDocument.documentName(),
+                ...message,
+            };
+            const origins = origin ? [origin] : getBridgeOrigins(hypeDocument);
+            origins.forEach(targetOrigin => {
+                try {
+                    target.postMessage(payload, targetOrigin);
+                } catch (error) {
+                    console.warn('Failed to post video bridge message:', error);
+                }
+            });
+        }
+
+        /**
+         * Broadcasts a lifecycle event to the parent frame and to every window that
+         * sent commands, if the message bridge is enabled for the document
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {String} eventType - The event name (e.g. "Video Ended")
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function broadcastVideoEvent(hypeDocument, eventType, video) {
+            if (!getDocumentSetting(hypeDocument, 'messageBridge')) return;
+
+            const message = {
+                type: 'event',
+                event: eventType,
+                video: video.getAttribute('data-video-name') || video.id || null,
+                state: { ...readVideoState(video) },
+            };
+
+            const clients = bridgeClients.get(hypeDocument) || new Map();
+            if (window.parent !== window && !clients.has(window.parent)) {
+                postBridgeMessage(hypeDocument, window.parent, message);
+            }
+            clients.forEach((origin, client) => {
+                postBridgeMessage(hypeDocument, client, message, origin);
+            });
+        }
+
+        /**
+         * Runs a bridge command against a document
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {Object} data - The command message
+         * @returns {Promise} - Resolves with a structured-cloneable result
+         */
+        function runBridgeCommand(hypeDocument, data) {
+            const name = data.video;
+            const state = () => hypeDocument.getVideoState(name);
+
+            switch (data.command) {
+                case 'play':
+                    return hypeDocument.playVideo(name).then(state);
+                case 'pause':
+                    return hypeDocument.pauseVideo(name).then(state);
+                case 'stop':
+                    return hypeDocument.stopVideo(name).then(state);
+                case 'seek':
+                    return hypeDocument.seekVideoTo(name, Number(data.value)).then(state);
+                case 'mute': {
+                    const video = hypeDocument.getVideo(name);
+                    if (!video) return rejectVideoNotFound(name);
+                    video.muted = data.value === undefined ? !video.muted : Boolean(data.value);
+                    return Promise.resolve(state());
+                }
+                case 'volume':
+                    return hypeDocument.setVideoVolume(name, Number(data.value)).then(state);
+                case 'getState': {
+                    const result = state();
+                    return result ? Promise.resolve(result) : rejectVideoNotFound(name);
+                }
+                default:
+                    return Promise.reject(new VideoControllerError('INVALID_ARGUMENT', `Unknown command "${data.command}".`));
+            }
+        }
+
+        /**
+         * Handles command messages of the message bridge. Commands are addressed by
+         * document id (or name) and video name, and answered with a response message
+         * carrying the same requestId.
+         *
+         * @param {MessageEvent} event - The message event
+         */
+        function handleBridgeMessage(event) {
+            const data = event.data;
+            if (!data || data.source !== 'HypeVideoControllerHost' || !data.command) return;
+
+            const candidates = Array.from(hypeDocuments).filter(hypeDocument => {
+                return getDocumentSetting(hypeDocument, 'messageBridge');
+            });
+            const hypeDocument = data.document
+                ? candidates.find(candidate => candidate.documentId() === data.document || candidate.documentName() === data.document)
+                : (candidates.length === 1 ? candidates[0] : null);
+            if (!hypeDocument) return;
+
+            const origins = getBridgeOrigins(hypeDocument);
+            if (!origins.includes('*') && !origins.includes(event.origin)) {
+                console.warn(`Video bridge command from "${event.origin}" ignored, the origin isn't allowed.`);
+                return;
+            }
+
+            if (event.source) {
+                if (!bridgeClients.has(hypeDocument)) bridgeClients.set(hypeDocument, new Map());
+                bridgeClients.get(hypeDocument).set(event.source, event.origin === 'null' ? '*' : event.origin);
+            }
+
+            const respond = message => {
+                if (!event.source) return;
+                postBridgeMessage(hypeDocument, event.source, { type: 'response', requestId: data.requestId, ...message }, event.origin === 'null' ? '*' : event.origin);
+            };
+
+            let result;
+            try {
+                result = runBridgeCommand(hypeDocument, data);
+            } catch (error) {
+                result = Promise.reject(error);
+            }
+            result.then(value => {
+                respond({ ok: true, result: value && { ...value } });
+            }, error => {
+                respond({ ok: false, error: { code: error.code || 'PLAY_FAILED', message: error.message } });
+            });
+        }
+
+        /**
+         * Sets the Media Session action handlers, skipping actions the browser doesn't support
+         *
+         * @param {Object} handlers - Action names mapped to handlers (or null to remove)
+         */
+        function setMediaSessionHandlers(handlers) {
+            Object.keys(handlers).forEach(action => {
+                try {
+                    navigator.mediaSession.setActionHandler(action, handlers[action]);
+                } catch (error) {
+                    // The action isn't supported by this browser
+                }
+            });
+        }
 
-                    if (getVideoSetting(video, 'endOnStall')) {
-                        console.log(`"endOnStall" is true. Triggering "Video Ended" as a fallback.`);
-                        video.pause();
-                        triggerVideoEvent(hypeDocument, 'Video Ended', video);
+        /**
+         * Publishes the playback position of the Media Session video
+         */
+        function updateMediaSessionPosition() {
+            const video = mediaSessionState.video;
+            if (!video || !navigator.mediaSession.setPositionState || !isFinite(video.duration) || !video.duration) return;
+            try {
+                navigator.mediaSession.setPositionState({
+                    duration: video.duration,
+                    playbackRate: video.playbackRate || 1,
+                    position: Math.min(video.currentTime, video.duration),
+                });
+            } catch (error) {
+                console.warn('Failed to update the media session position:', error);
+            }
+        }
+
+        /**
+         * Makes a video the one controlled by the lock screen and hardware media keys.
+         * Title, artist, album and artwork come from data-video-title, data-video-artist,
+         * data-video-album and data-video-artwork.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function activateMediaSession(hypeDocument, video) {
+            if (!('mediaSession' in navigator) || !getVideoSetting(video, 'mediaSession')) return;
+
+            if (mediaSessionState.video !== video) {
+                mediaSessionState.video = video;
+                mediaSessionState.hypeDocument = hypeDocument;
+
+                if (window.MediaMetadata) {
+                    const artwork = video.getAttribute('data-video-artwork') || video.getAttribute('poster');
+                    navigator.mediaSession.metadata = new MediaMetadata({
+                        title: video.getAttribute('data-video-title') || video.getAttribute('data-video-name') || document.title,
+                        artist: video.getAttribute('data-video-artist') || '',
+                        album: video.getAttribute('data-video-album') || hypeDocument.documentName(),
+                        artwork: artwork ? [{ src: new URL(artwork, document.baseURI).href }] : [],
+                    });
+                }
+
+                const warn = error => console.warn('Media session action failed:', error);
+                const seekBy = offset => {
+                    const time = Math.min(Math.max(video.currentTime + offset, 0), video.duration || 0);
+                    hypeDocument.seekVideoTo(video, time).catch(warn);
+                };
+                const hasPlaylist = videoPlaylists.has(video);
+                const hasChapters = videoChapters.has(video);
+
+                setMediaSessionHandlers({
+                    play: () => hypeDocument.playVideo(video).catch(warn),
+                    pause: () => hypeDocument.pauseVideo(video).catch(warn),
+                    stop: () => hypeDocument.stopVideo(video).catch(warn),
+                    seekbackward: details => seekBy(-(details.seekOffset || getVideoSetting(video, 'seekStep'))),
+                    seekforward: details => seekBy(details.seekOffset || getVideoSetting(video, 'seekStep')),
+                    seekto: details => hypeDocument.seekVideoTo(video, details.seekTime).catch(warn),
+                    nexttrack: hasPlaylist ? () => hypeDocument.nextVideoPlaylistItem(video)
+                        : hasChapters ? () => hypeDocument.nextVideoChapter(video).catch(warn) : null,
+                    previoustrack: hasPlaylist ? () => hypeDocument.previousVideoPlaylistItem(video)
+                        : hasChapters ? () => hypeDocument.previousVideoChapter(video).catch(warn) : null,
+                });
+            }
+
+            navigator.mediaSession.playbackState = video.paused ? 'paused' : 'playing';
+            updateMediaSessionPosition();
+        }
+
+        /**
+         * Clears the Media Session if it belongs to a video of the given scene
+         *
+         * @param {HTMLElement} sceneElement - The scene element
+         */
+        function clearMediaSession(sceneElement) {
+            const video = mediaSessionState.video;
+            if (!video || !sceneElement || !sceneElement.contains(video)) return;
+
+            mediaSessionState.video = null;
+            mediaSessionState.hypeDocument = null;
+            navigator.mediaSession.metadata = null;
+            navigator.mediaSession.playbackState = 'none';
+            setMediaSessionHandlers({
+                play: null, pause: null, stop: null, seekbackward: null, seekforward: null,
+                seekto: null, nexttrack: null, previoustrack: null,
+            });
+            if (navigator.mediaSession.setPositionState) {
+                try {
+                    navigator.mediaSession.setPositionState();
+                } catch (error) {
+                    // Older implementations can't reset the position state
+                }
+            }
+        }
+
+        /**
+         * Sets up the Media Session listeners of a video
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function setupVideoMediaSession(hypeDocument, video) {
+            if (!('mediaSession' in navigator)) return;
+
+            video.addEventListener('playing', () => {
+                if (isVideoInCurrentScene(hypeDocument, video)) activateMediaSession(hypeDocument, video);
+            });
+            video.addEventListener('pause', () => {
+                if (mediaSessionState.video === video) navigator.mediaSession.playbackState = 'paused';
+            });
+            ['timeupdate', 'durationchange', 'ratechange', 'seeked'].forEach(type => {
+                video.addEventListener(type, () => {
+                    if (mediaSessionState.video === video) updateMediaSessionPosition();
+                });
+            });
+        }
+
+        /**
+         * Moves the Media Session to the first video of the new scene that uses it,
+         * preferring videos that autoplay. Playing videos take it over when they start.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         */
+        function setupMediaSession(hypeDocument) {
+            if (!('mediaSession' in navigator)) return;
+
+            const currentScene = hypeDocument.getElementById(hypeDocument.currentSceneId());
+            const videos = Array.from(currentScene.querySelectorAll('video')).filter(video => {
+                return getVideoSetting(video, 'mediaSession');
+            });
+            const video = videos.find(video => getVideoSetting(video, 'autoPlay')) || videos[0];
+            if (video) activateMediaSession(hypeDocument, video);
+        }
+
+        /**
+         * Detects the frame rate of a playing video from the media times of
+         * consecutive frames (requestVideoFrameCallback)
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function detectFrameRate(video) {
+            if (!video.requestVideoFrameCallback || detectedFrameRates.has(video)) return;
+            detectedFrameRates.set(video, null);
+
+            const deltas = [];
+            let lastMediaTime = null;
+            let lastFrames = null;
+            const onFrame = (now, metadata) => {
+                if (lastMediaTime !== null && metadata.presentedFrames === lastFrames + 1) {
+                    const delta = metadata.mediaTime - lastMediaTime;
+                    if (delta > 0) deltas.push(delta);
+                }
+                lastMediaTime = metadata.mediaTime;
+                lastFrames = metadata.presentedFrames;
+
+                if (deltas.length < 10) {
+                    if (!video.paused) video.requestVideoFrameCallback(onFrame);
+                    else detectedFrameRates.delete(video);
+                    return;
+                }
+                deltas.sort((a, b) => a - b);
+                detectedFrameRates.set(video, Math.round(100 / deltas[Math.floor(deltas.length / 2)]) / 100);
+            };
+            video.requestVideoFrameCallback(onFrame);
+        }
+
+        /**
+         * Gets the frame rate of a video: the frameRate setting, the detected
+         * frame rate or 30 frames per second
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Number} - Frames per second
+         */
+        function getVideoFrameRate(video) {
+            return getVideoSetting(video, 'frameRate') || detectedFrameRates.get(video) || 30;
+        }
+
+        /**
+         * Pauses a video and steps it by a number of frames. The position snaps to
+         * the frame grid and resolves once the frame is presented where
+         * requestVideoFrameCallback is available.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} frames - Frames to step, negative to step back
+         * @returns {Promise} - Resolves with the new currentTime
+         */
+        function stepVideoFrame(video, frames) {
+            if (!Number.isInteger(frames)) {
+                return Promise.reject(new VideoControllerError('INVALID_ARGUMENT', `Invalid frame count ${frames}, it must be a whole number.`));
+            }
+
+            const fps = getVideoFrameRate(video);
+            const duration = isFinite(video.duration) ? video.duration : 0;
+            // Aim for the middle of the frame so rounding never lands on the previous one
+            const frame = Math.max(0, Math.floor(video.currentTime * fps + 0.001) + frames);
+            const time = Math.min((frame + 0.5) / fps, Math.max(duration - 0.5 / fps, 0));
+
+            return pauseVideoElement(video).then(() => {
+                const presented = video.requestVideoFrameCallback
+                    ? new Promise(resolve => {
+                        const timer = setTimeout(resolve, 250);
+                        video.requestVideoFrameCallback(() => {
+                            clearTimeout(timer);
+                            resolve();
+                        });
+                    })
+                    : null;
+                return seekVideoElement(video, time).then(currentTime => {
+                    return presented ? presented.then(() => video.currentTime) : currentTime;
+                });
+            });
+        }
+
+        /**
+         * Sets or replaces the A/B loop region of a video
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} start - Region start in seconds
+         * @param {Number} end - Region end in seconds
+         * @param {Number} [count] - Number of loops, Infinity by default
+         * @returns {Boolean} - True if the region was set
+         */
+        function setLoopRegion(hypeDocument, video, start, end, count) {
+            const duration = isFinite(video.duration) ? video.duration : Infinity;
+            if (!(start >= 0 && end > start && end <= duration)) {
+                console.warn(`Invalid loop region ${start}-${end}, it must lie within the video and end after it starts.`);
+                return false;
+            }
+            if (count !== undefined && !(count > 0)) {
+                console.warn(`Invalid loop count ${count}, it must be greater than 0.`);
+                return false;
+            }
+
+            clearLoopRegion(video);
+            const region = { start, end, count: count === undefined ? Infinity : count, completed: 0, watching: false };
+            loopRegions.set(video, region);
+            updateVideoState(hypeDocument, video, { loopCount: 0 });
+            watchLoopRegion(hypeDocument, video, region);
+            return true;
+        }
+
+        /**
+         * Removes the loop region of a video
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function clearLoopRegion(video) {
+            loopRegions.delete(video);
+        }
+
+        /**
+         * Jumps back to the region start once playback reaches the region end.
+         * Fires "Video Loop Completed" per loop and removes the region after count loops.
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function processLoopRegion(hypeDocument, video) {
+            const region = loopRegions.get(video);
+            if (!region || video.paused || video.seeking || video.currentTime < region.end) return;
+
+            region.completed++;
+            updateVideoState(hypeDocument, video, { loopCount: region.completed });
+            if (region.completed >= region.count) {
+                clearLoopRegion(video);
+            } else {
+                video.currentTime = region.start;
+            }
+            triggerVideoEvent(hypeDocument, 'Video Loop Completed', video);
+        }
+
+        /**
+         * Checks the loop region on every frame where requestVideoFrameCallback
+         * is available, timeupdate covers the other browsers
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Object} region - The loop region
+         */
+        function watchLoopRegion(hypeDocument, video, region) {
+            if (!video.requestVideoFrameCallback || region.watching || video.paused) return;
+            region.watching = true;
+
+            const onFrame = () => {
+                if (loopRegions.get(video) !== region || video.paused) {
+                    region.watching = false;
+                    return;
+                }
+                processLoopRegion(hypeDocument, video);
+                if (loopRegions.get(video) === region) {
+                    video.requestVideoFrameCallback(onFrame);
+                } else {
+                    region.watching = false;
+                }
+            };
+            video.requestVideoFrameCallback(onFrame);
+        }
+
+        /**
+         * Gets the Web Audio gain node of a video, creating the audio graph on first
+         * use if webAudio is enabled. Returns null without Web Audio.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {GainNode|null} - The gain node or null
+         */
+        function getAudioGain(video) {
+            if (audioGains.has(video)) return audioGains.get(video);
+            if (!getVideoSetting(video, 'webAudio')) return null;
+
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return null;
+
+            // A media element can only be connected once, so failures are remembered too
+            let gain = null;
+            try {
+                if (!audioContext) audioContext = new AudioContextClass();
+                gain = audioContext.createGain();
+                gain.gain.value = video.volume;
+                audioContext.createMediaElementSource(video).connect(gain);
+                gain.connect(audioContext.destination);
+            } catch (error) {
+                console.warn(`Failed to route video through Web Audio: ${video.id || 'unnamed'}`, error);
+                gain = null;
+            }
+            audioGains.set(video, gain);
+            return gain;
+        }
+
+        /**
+         * Gets the current output level of a video (gain node or volume)
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Number} - The level between 0 and 1
+         */
+        function getVideoLevel(video) {
+            const gain = getAudioGain(video);
+            return gain ? gain.gain.value : video.volume;
+        }
+
+        /**
+         * Sets the output level of a video through its gain node or its volume
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} level - The level between 0 and 1
+         */
+        function setVideoLevel(video, level) {
+            const gain = getAudioGain(video);
+            if (gain) {
+                gain.gain.value = level;
+            } else {
+                video.volume = level;
+            }
+        }
+
+        /**
+         * Gets the level a video should play at: its set level, lowered while
+         * voice-over videos duck it
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Number} - The level between 0 and 1
+         */
+        function getTargetLevel(video) {
+            if (!videoLevels.has(video)) videoLevels.set(video, getVideoLevel(video));
+            const sources = duckingSources.get(video);
+            const duck = sources && sources.size ? Math.min(...sources.values()) : 1;
+            return videoLevels.get(video) * duck;
+        }
+
+        /**
+         * Fades the output level of a video. A running fade of the same video is
+         * cancelled and resolves with the level it reached.
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Number} to - The target level between 0 and 1
+         * @param {Number} duration - Fade duration in milliseconds
+         * @param {String} [easing] - linear, ease-in, ease-out or ease-in-out
+         * @returns {Promise} - Resolves with the reached level
+         */
+        function fadeLevel(video, to, duration, easing) {
+            cancelFade(video);
+
+            const from = getVideoLevel(video);
+            const ease = easings[easing] || easings['ease-in-out'];
+            const startTime = Date.now();
+
+            return new Promise(resolve => {
+                const fade = { timer: null, resolve };
+                const step = () => {
+                    const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+                    setVideoLevel(video, from + (to - from) * ease(progress));
+                    if (progress < 1) {
+                        // Timers keep running in background tabs, unlike animation frames
+                        fade.timer = setTimeout(step, 20);
+                        return;
                     }
+                    volumeFades.delete(video);
+                    resolve(to);
+                };
+                volumeFades.set(video, fade);
+                step();
+            });
+        }
+
+        /**
+         * Cancels the running fade of a video
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function cancelFade(video) {
+            const fade = volumeFades.get(video);
+            if (!fade) return;
+            clearTimeout(fade.timer);
+            volumeFades.delete(video);
+            fade.resolve(getVideoLevel(video));
+        }
+
+        /**
+         * Ducks or restores the background videos named in the duck setting of a
+         * voice-over video
+         *
+         * @param {HTMLVideoElement} voice - The voice-over video
+         * @param {Boolean} active - Whether the voice-over is playing
+         */
+        function applyDucking(voice, active) {
+            const names = getVideoSetting(voice, 'duck').split(',').map(name => name.trim()).filter(Boolean);
+            const scene = voice.closest('.HYPE_scene');
+            if (!names.length || !scene) return;
+
+            names.forEach(name => {
+                const background = scene.querySelector(`video[data-video-name="${name}"]`);
+                if (!background || background === voice) return;
+
+                if (!duckingSources.has(background)) duckingSources.set(background, new Map());
+                const sources = duckingSources.get(background);
+                if (active) {
+                    sources.set(voice, getVideoSetting(voice, 'duckLevel'));
+                } else if (!sources.delete(voice)) {
+                    return;
                 }
-            }, stallTimeout);
+                fadeLevel(background, getTargetLevel(background), getVideoSetting(voice, 'duckFade'));
+            });
+        }
 
-            stallMonitors.set(video, timer);
+        /**
+         * Pauses a video when its scene unloads, fading it out first if fadeOut is set
+         *
+         * @param {HTMLVideoElement} video - The video element
+         * @param {Boolean} reset - Whether to reset the video's currentTime
+         */
+        function pauseUnloadedVideo(video, reset) {
+            const fadeOut = getVideoSetting(video, 'fadeOut');
+            const finish = rewind => {
+                video.pause();
+                if (rewind) video.currentTime = 0; // Reset to the beginning
+                duckingSources.delete(video);
+                if (videoLevels.has(video)) setVideoLevel(video, videoLevels.get(video));
+            };
+
+            if (fadeOut > 0 && !video.paused) {
+                // The scene observer asks for the rewind while the fade runs
+                const fading = { reset };
+                getTargetLevel(video);
+                fadingOutVideos.set(video, fading);
+                fadeLevel(video, 0, fadeOut, 'ease-in').then(() => {
+                    // Playing again before the fade completed cancels the pause
+                    if (fadingOutVideos.get(video) !== fading) return;
+                    fadingOutVideos.delete(video);
+                    finish(fading.reset);
+                });
+                return;
+            }
+
+            fadingOutVideos.delete(video);
+            cancelFade(video);
+            finish(reset);
         }
 
         /**
-         * Clears the stall monitor for a specific video.
+         * Cancels the fade-out of an unloaded video that plays on, fading back in
+         * from the reached level if fadeIn is set
          *
-         * @param {HTMLVideoElement} video The video element.
+         * @param {HTMLVideoElement} video - The video element
+         * @returns {Boolean} - True if a fade-out was cancelled
          */
-        function clearStallMonitor(video) {
-            if (stallMonitors.has(video)) {
-                clearTimeout(stallMonitors.get(video));
-                stallMonitors.delete(video);
+        function cancelFadeOut(video) {
+            if (!fadingOutVideos.delete(video)) return false;
+
+            const fadeIn = getVideoSetting(video, 'fadeIn');
+            if (fadeIn) {
+                fadeLevel(video, getTargetLevel(video), fadeIn, 'ease-out');
+            } else {
+                cancelFade(video);
+                setVideoLevel(video, getTargetLevel(video));
             }
+            return true;
+        }
+
+        /**
+         * Sets up fade-in, fade-out cancellation and ducking for a video
+         *
+         * @param {HTMLVideoElement} video - The video element
+         */
+        function setupVideoAudio(video) {
+            video.addEventListener('play', () => {
+                if (cancelFadeOut(video)) return;
+
+                const fadeIn = getVideoSetting(video, 'fadeIn');
+                if (!fadeIn) return;
+                setVideoLevel(video, 0);
+                fadeLevel(video, getTargetLevel(video), fadeIn, 'ease-out');
+            });
+
+            video.addEventListener('playing', () => {
+                applyDucking(video, true);
+            });
+            ['pause', 'ended', 'emptied'].forEach(type => {
+                video.addEventListener(type, () => {
+                    applyDucking(video, false);
+                });
+            });
         }
 
         /**
@@ -234,22 +4256,37 @@ if ("HypeVideoController" in window === false) {
                     // Handle video end
                     video.addEventListener('ended', () => {
                         clearStallMonitor(video);
-                        triggerVideoEvent(hypeDocument, 'Video Ended', video);
+                        stopTimelineSync(video);
+                        syncVideoTimelines(hypeDocument, video);
+                        saveVideoPosition(hypeDocument, video);
+                        // Segments without an end continue through the branching graph
+                        if (endBranchSegment(hypeDocument, video)) return;
+                        declareVideoEnded(hypeDocument, video);
                     });
 
                     // Handle video start
                     video.addEventListener('playing', () => {
                         clearStallMonitor(video);
-                        if (!video.paused && !video.ended && !video.hasAttribute('data-autoplay-failed')) {
+                        startTimelineSync(hypeDocument, video);
+                        // Members resuming after their sync group waited don't count as a new start
+                        const resumedFromHold = syncHolds.delete(video);
+                        if (!video.paused && !video.ended && !video.hasAttribute('data-autoplay-failed') && !resumedFromHold) {
                             triggerVideoEvent(hypeDocument, 'Video Started', video);
                         }
                         video.removeAttribute('data-autoplay-failed');
+
+                        const playlist = videoPlaylists.get(video);
+                        if (playlist) playlist.failures = 0;
                     });
 
                     // Handle video pause
                     video.addEventListener('pause', () => {
                         clearStallMonitor(video);
-                        triggerVideoEvent(hypeDocument, 'Video Paused', video);
+                        stopTimelineSync(video);
+                        syncVideoTimelines(hypeDocument, video);
+                        if (!syncHolds.has(video)) {
+                            triggerVideoEvent(hypeDocument, 'Video Paused', video);
+                        }
                     });
                     
                     // Handle video buffering by starting the stall monitor
@@ -257,50 +4294,190 @@ if ("HypeVideoController" in window === false) {
                         monitorForStalls(video, hypeDocument);
                     });
 
+                    // Network stalls and aborted loads while playing are watched the same way
+                    ['stalled', 'abort'].forEach(type => {
+                        video.addEventListener(type, () => {
+                            if (!video.paused && !recoveryStates.has(video)) monitorForStalls(video, hypeDocument);
+                        });
+                    });
+
+                    // Recover from media errors (recoveryRetries) or fail with "Video Error".
+                    // Errors of <source> children only count once the browser ran out of sources.
+                    video.addEventListener('error', event => {
+                        if (event.target !== video && event.target.nextElementSibling && event.target.nextElementSibling.matches('source')) return;
+                        handleMediaError(hypeDocument, video);
+                    }, true);
+
+                    // Handle cue points while playing and re-arm them after seeking
+                    video.addEventListener('timeupdate', () => {
+                        checkVideoRecovered(hypeDocument, video);
+                        processLoopRegion(hypeDocument, video);
+                        processVideoBranches(hypeDocument, video);
+                        processVideoCues(hypeDocument, video);
+                        processVideoProgress(hypeDocument, video);
+                        processVideoChapters(hypeDocument, video);
+
+                        // Remember the position about once per second while in the current scene
+                        const now = Date.now();
+                        if (now - (resumeSaveTimes.get(video) || 0) >= 1000 && isVideoInCurrentScene(hypeDocument, video)) {
+                            resumeSaveTimes.set(video, now);
+                            saveVideoPosition(hypeDocument, video);
+                        }
+                    });
+                    // Skip the cues and quartiles a seek jumps over, browsers may update the time before "seeked"
+                    video.addEventListener('seeking', () => {
+                        rearmVideoCues(video);
+                        rearmVideoProgress(video);
+                    });
+                    video.addEventListener('seeked', () => {
+                        rearmVideoCues(video);
+                        rearmVideoProgress(video);
+                        syncVideoTimelines(hypeDocument, video);
+                    });
+
+                    // Re-arm cues when a new source (e.g. the next playlist item) is loaded
+                    video.addEventListener('emptied', () => {
+                        rearmVideoCues(video);
+                        rearmVideoProgress(video);
+                    });
+
+                    // Record watched ranges and engagement events (tracking)
+                    setupVideoEngagement(hypeDocument, video);
+
+                    // Lock screen and media key controls (mediaSession)
+                    setupVideoMediaSession(hypeDocument, video);
+
+                    // Volume fades and ducking (fadeIn, fadeOut, duck)
+                    setupVideoAudio(video);
+
+                    // Detect the frame rate for frame stepping and keep loop regions and branches in check
+                    video.addEventListener('playing', () => {
+                        if (!getVideoSetting(video, 'frameRate')) detectFrameRate(video);
+                        if (loopRegions.has(video)) watchLoopRegion(hypeDocument, video, loopRegions.get(video));
+                        if (branchVideos.has(video)) watchVideoBranches(hypeDocument, video);
+                    });
+
+                    // Keep the playback state up to date
+                    ['timeupdate', 'durationchange', 'progress', 'play', 'pause', 'ended', 'volumechange', 'ratechange', 'seeked', 'emptied'].forEach(type => {
+                        video.addEventListener(type, () => {
+                            updateVideoState(hypeDocument, video);
+                        });
+                    });
+
                     processedVideos.add(video);
                 }
             });
         }
 
         /**
-         * Gets the effective setting for a video element considering data attributes.
-         * Supports boolean and numerical settings, with backwards-compatible aliases.
-         * 
-         * @param {HTMLElement} video - The video element
+         * Reads a setting from the data attributes of an element (data-video-<alias>
+         * or data-video-<setting in lowercase>).
+         *
+         * @param {HTMLElement} element - The video or scene element
          * @param {String} setting - The setting name
-         * @returns {*} - The effective setting value
+         * @returns {*} - The parsed value, or undefined if not set or invalid
          */
-        function getVideoSetting(video, setting) {
-            const settingAliases = {
-                endOnStall: 'end-on-stall',
-                endOnAutoplayFail: 'end-on-autoplay-fail',
-                stallTimeout: 'stall-timeout',
-                autoPlaysInline: 'plays-inline',
-                autoMute: 'auto-mute',
-                autoPlay: 'auto-play'
-            };
-            
-            const alias = settingAliases[setting] || setting.toLowerCase();
+        function readSettingAttribute(element, setting) {
+            const definition = settingTypes[setting] || {};
+            const alias = definition.alias || setting.toLowerCase();
             const longName = setting.toLowerCase();
-            
-            let attrValue = video.getAttribute(`data-video-${alias}`);
+
+            let attrValue = element.getAttribute(`data-video-${alias}`);
             if (attrValue === null) {
-                attrValue = video.getAttribute(`data-video-${longName}`);
+                attrValue = element.getAttribute(`data-video-${longName}`);
             }
+            return attrValue === null ? undefined : parseSettingValue(setting, attrValue);
+        }
+
+        /**
+         * Gets the Hype document a video element belongs to
+         *
+         * @param {HTMLElement} video - The video element
+         * @returns {Object|null} - The Hype document instance or null
+         */
+        function getVideoDocument(video) {
+            if (videoDocuments.has(video)) return videoDocuments.get(video);
 
-            if (attrValue !== null) {
-                if (typeof _default[setting] === 'boolean') {
-                    return attrValue === 'true';
+            for (const hypeDocument of hypeDocuments) {
+                const container = document.getElementById(hypeDocument.documentId());
+                if (container && container.contains(video)) {
+                    videoDocuments.set(video, hypeDocument);
+                    return hypeDocument;
                 }
-                if (typeof _default[setting] === 'number') {
-                    const parsedValue = parseInt(attrValue, 10);
-                    if (!isNaN(parsedValue)) {
-                        return parsedValue;
-                    }
+            }
+            return null;
+        }
+
+        /**
+         * Gets a setting for a Hype document (document default or global default)
+         *
+         * @param {Object} hypeDocument - The Hype document instance
+         * @param {String} setting - The setting name
+         * @returns {*} - The setting value
+         */
+        function getDocumentSetting(hypeDocument, setting) {
+            const config = documentConfigs.get(hypeDocument);
+            return config && setting in config.defaults ? config.defaults[setting] : _default[setting];
+        }
+
+        /**
+         * Resolves a setting for a video element through the configuration scopes,
+         * from the most specific to the most general:
+         * video data attribute, scene data attribute, scene default, document default, global default.
+         *
+         * @param {HTMLElement} video - The video element
+         * @param {String} setting - The setting name
+         * @returns {Object} - The value and the scope it came from ({value, source})
+         */
+        function resolveVideoSetting(video, setting) {
+            let value = readSettingAttribute(video, setting);
+            if (value !== undefined) return { value, source: 'video' };
+
+            const sceneElement = video.closest('.HYPE_scene');
+            if (sceneElement) {
+                value = readSettingAttribute(sceneElement, setting);
+                if (value !== undefined) return { value, source: 'scene' };
+            }
+
+            const hypeDocument = getVideoDocument(video);
+            const config = hypeDocument ? documentConfigs.get(hypeDocument) : null;
+            if (config) {
+                const sceneDefaults = sceneElement ? config.scenes[sceneNames.get(sceneElement)] : null;
+                if (sceneDefaults && setting in sceneDefaults) {
+                    return { value: sceneDefaults[setting], source: 'scene' };
+                }
+                if (setting in config.defaults) {
+                    return { value: config.defaults[setting], source: 'document' };
                 }
             }
-            
-            return _default[setting];
+
+            return { value: _default[setting], source: 'global' };
+        }
+
+        /**
+         * Gets the effective setting for a video element considering all configuration scopes.
+         * 
+         * @param {HTMLElement} video - The video element
+         * @param {String} setting - The setting name
+         * @returns {*} - The effective setting value
+         */
+        function getVideoSetting(video, setting) {
+            return resolveVideoSetting(video, setting).value;
+        }
+
+        /**
+         * Gets all effective settings of a video element and the scope each value
+         * came from ("video", "scene", "document" or "global"). Meant for debugging.
+         *
+         * @param {HTMLElement} video - The video element
+         * @returns {Object} - Map of setting names to {value, source}
+         */
+        function getEffectiveVideoSettings(video) {
+            const settings = {};
+            Object.keys(_default).forEach(setting => {
+                settings[setting] = resolveVideoSetting(video, setting);
+            });
+            return settings;
         }
 
         /**
@@ -314,37 +4491,35 @@ if ("HypeVideoController" in window === false) {
             const videos = currentScene.querySelectorAll('video');
             
             videos.forEach(video => {
+                // Returning before the fade-out finished keeps the video from being paused
+                cancelFadeOut(video);
+
                 // Apply settings based on data attributes or defaults
-                if (getVideoSetting(video, 'autoMute')) video.muted = true;
+                // After the first gesture, unmuteOnGesture has nothing left to wait for
+                if (getVideoSetting(video, 'autoMute') && !(getVideoSetting(video, 'unmuteOnGesture') && hasUserActivation())) {
+                    video.muted = true;
+                    autoMutedVideos.add(video);
+                }
                 if (getVideoSetting(video, 'autoPlaysInline')) video.playsInline = true;
                 
                 requestAnimationFrame(() => {
-                    
-                    // Only attempt autoplay if enabled for this video
-                    if (getVideoSetting(video, 'autoPlay')) {
+                    // Videos of branching graphs start where their current segment starts
+                    const branching = branchVideos.has(video);
+
+                    // Restore the remembered position if resume is enabled for this video
+                    const resumed = !branching && restoreVideoPosition(hypeDocument, video);
+
+                    // Only attempt autoplay if enabled for this video and not waiting for its branch
+                    if (getVideoSetting(video, 'autoPlay') && !inactiveBranchVideos.has(video)) {
                         video.removeAttribute('autoplay');
                         video.autoplay = false;
-                        video.currentTime = 0;
+                        if (!resumed && !branching) video.currentTime = 0;
                         
                         const playPromise = video.play();
 
                         if (playPromise !== undefined) {
                             playPromise.catch(error => {
-                                // Autoplay was blocked by the browser.
-                                console.warn(`Autoplay failed for video: ${video.id || 'unnamed'}`, error);
-                                
-                                // Mark that this video failed to autoplay for state management
-                                video.setAttribute('data-autoplay-failed', 'true');
-                                triggerVideoEvent(hypeDocument, 'Video Autoplay Failed', video);
-
-                                // Check if we should trigger the ended event as a fallback.
-                                if (getVideoSetting(video, 'endOnAutoplayFail')) {
-                                    console.log(`Triggering "Video Ended" due to autoplay failure.`);
-                                    // Use a small timeout to ensure this happens in the next event loop tick.
-                                    setTimeout(() => {
-                                        triggerVideoEvent(hypeDocument, 'Video Ended', video);
-                                    }, 0);
-                                }
+                                handleAutoplayFailure(hypeDocument, video, error);
                             });
                         }
                     }
@@ -365,12 +4540,40 @@ if ("HypeVideoController" in window === false) {
 
             const videos = currentScene.querySelectorAll('video');
             videos.forEach(video => {
-                video.pause();
-                if (reset) video.currentTime = 0; // Reset to the beginning
+                abortVideoWaits(video);
+                saveVideoPosition(hypeDocument, video);
+                if (videoEngagement.has(video)) {
+                    trackEngagement(hypeDocument, video, 'summary', { summary: getEngagementSummary(video) });
+                }
+                pauseUnloadedVideo(video, reset);
                 
                 // Clean up the flag if it exists
                 video.removeAttribute('data-autoplay-failed');
+                clearStallMonitor(video);
+                clearVideoRecovery(video);
+                endedLoops.delete(video);
+                clearLoopRegion(video);
+                clearVideoCues(video);
+                stopTimelineSync(video);
+                stopSyncLoop(video);
+                syncHolds.delete(video);
+                hiddenPausedVideos.delete(video);
+                autoMutedVideos.delete(video);
+                pendingUnmuteVideos.delete(video);
+                removeAutoplayOverlay(video);
+                gesturePendingVideos.forEach(entry => {
+                    if (entry.video === video) gesturePendingVideos.delete(entry);
+                });
+                stopViewportObserver(video);
+                clearPlaylistPreload(video);
+
+                // Adapters are torn down, so only streams set up by an adapter reload on return
+                if (attachedSources.has(video) && attachedSources.get(video).teardown) {
+                    detachVideoSource(video);
+                }
             });
+
+            flushBeaconQueues();
         }
 
         /**
@@ -381,14 +4584,59 @@ if ("HypeVideoController" in window === false) {
          * @param {Object} event - The event object.
          */
         function HypeDocumentLoad(hypeDocument, element, event) {
+            hypeDocuments.add(hypeDocument);
+            documentConfigs.set(hypeDocument, { defaults: {}, scenes: {} });
             setupSceneObserver(hypeDocument);
+
+            /**
+             * Set default options for videos in this document, overriding the global defaults
+             * @param {String|Object} key - Option key or object with multiple settings
+             * @param {*} value - Value to set (if key is string)
+             */
+            hypeDocument.setVideoDefault = function(key, value) {
+                assignSettings(documentConfigs.get(this).defaults, key, value);
+            };
+
+            /**
+             * Get default option(s) for videos in this document
+             * @param {String} [key] - Specific option key
+             * @returns {*} Default value or entire defaults object
+             */
+            hypeDocument.getVideoDefault = function(key) {
+                if (key) return getDocumentSetting(this, key);
+                return { ..._default, ...documentConfigs.get(this).defaults };
+            };
+
+            /**
+             * Set default options for videos in a scene, overriding the document defaults
+             * @param {String} sceneName - The scene name
+             * @param {String|Object} key - Option key or object with multiple settings
+             * @param {*} value - Value to set (if key is string)
+             */
+            hypeDocument.setVideoSceneDefault = function(sceneName, key, value) {
+                const scenes = documentConfigs.get(this).scenes;
+                if (!scenes[sceneName]) scenes[sceneName] = {};
+                assignSettings(scenes[sceneName], key, value);
+            };
+
+            /**
+             * Get all effective settings of a video and the scope each value came from
+             * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Object|null} Map of setting names to {value, source}, or null if video not found
+             */
+            hypeDocument.getEffectiveVideoSettings = function(name) {
+                const video = this.getVideo(name);
+                return video ? getEffectiveVideoSettings(video) : null;
+            };
             
             /**
              * Get video element by name or selector
-             * @param {string} name - The data-video-name value or CSS selector
+             * @param {string|HTMLVideoElement} name - The data-video-name value, CSS selector or video element
              * @returns {HTMLVideoElement|null} The video element or null if not found
              */
             hypeDocument.getVideo = function(name) {
+                // Video elements are passed through (e.g. from Media Session handlers)
+                if (name instanceof HTMLVideoElement) return name;
                 const currentScene = this.getElementById(this.currentSceneId());
                 // If no name provided, return first video in current scene
                 if (!name) {
@@ -414,74 +4662,150 @@ if ("HypeVideoController" in window === false) {
             /**
              * Play video by name or selector
              * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Promise} Resolves with the video once it is playing
              */
-             hypeDocument.playVideo = function(name) {
+            hypeDocument.playVideo = function(name) {
                 const video = this.getVideo(name);
-                if (video) {
-                    video.play().catch(error => {
-                        console.warn(`Failed to play video "${name}":`, error);
-                    });
-                }
+                return video ? playVideoElement(video) : rejectVideoNotFound(name);
             };
 
             /**
              * Pause video by name or selector
              * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Promise} Resolves with the video once it is paused
              */
             hypeDocument.pauseVideo = function(name) {
                 const video = this.getVideo(name);
-                if (video) {
-                    video.pause();
-                }
+                return video ? pauseVideoElement(video) : rejectVideoNotFound(name);
             };
 
             /**
              * Stop video by name or selector (pauses and resets to beginning)
              * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Promise} Resolves with the video once it is paused and rewound
              */
             hypeDocument.stopVideo = function(name) {
                 const video = this.getVideo(name);
-                if (video) {
-                    video.pause();
-                    video.currentTime = 0;
-                }
+                if (!video) return rejectVideoNotFound(name);
+                return Promise.all([pauseVideoElement(video), seekVideoElement(video, 0)]).then(() => video);
             };
 
             /**
              * Sets the volume of a video
              * @param {string} name - The data-video-name value or CSS selector
              * @param {number} volume - The volume level between 0 and 1
+             * @returns {Promise} Resolves with the new volume
              */
             hypeDocument.setVideoVolume = function(name, volume) {
                 const video = this.getVideo(name);
-                if (video) {
-                    if (volume >= 0 && volume <= 1) {
-                        video.volume = volume;
-                    }
+                if (!video) return rejectVideoNotFound(name);
+                if (!(volume >= 0 && volume <= 1)) {
+                    return Promise.reject(new VideoControllerError('INVALID_ARGUMENT', `Invalid volume ${volume}, it must be between 0 and 1.`));
+                }
+                videoLevels.set(video, volume);
+                cancelFade(video);
+                setVideoLevel(video, getTargetLevel(video));
+                return Promise.resolve(volume);
+            };
+
+            /**
+             * Fades the volume of a video (through Web Audio if webAudio is enabled)
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {number} volume - The target volume between 0 and 1
+             * @param {number} duration - Fade duration in milliseconds
+             * @param {string} [easing] - linear, ease-in, ease-out or ease-in-out (default)
+             * @returns {Promise} Resolves with the reached volume, also when another fade takes over
+             */
+            hypeDocument.fadeVideoVolume = function(name, volume, duration, easing) {
+                const video = this.getVideo(name);
+                if (!video) return rejectVideoNotFound(name);
+                if (!(volume >= 0 && volume <= 1) || !(duration >= 0) || (easing && !easings[easing])) {
+                    return Promise.reject(new VideoControllerError('INVALID_ARGUMENT', `Invalid fade to ${volume} over ${duration}ms (${easing || 'ease-in-out'}).`));
+                }
+                videoLevels.set(video, volume);
+                return fadeLevel(video, getTargetLevel(video), duration, easing);
+            };
+
+            /**
+             * Sets the playback rate of a video
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {number} rate - The playback rate between 0.0625 and 16
+             * @returns {Promise} Resolves with the new playback rate
+             */
+            hypeDocument.setVideoPlaybackRate = function(name, rate) {
+                const video = this.getVideo(name);
+                if (!video) return rejectVideoNotFound(name);
+                if (!(rate >= 0.0625 && rate <= 16)) {
+                    return Promise.reject(new VideoControllerError('INVALID_ARGUMENT', `Invalid playback rate ${rate}, it must be between 0.0625 and 16.`));
                 }
+                video.playbackRate = rate;
+                return Promise.resolve(video.playbackRate);
+            };
+
+            /**
+             * Pauses a video and steps it frame by frame
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {number} [frames] - Frames to step, negative to step back (default 1)
+             * @returns {Promise} Resolves with the new currentTime
+             */
+            hypeDocument.stepVideoFrame = function(name, frames = 1) {
+                const video = this.getVideo(name);
+                return video ? stepVideoFrame(video, frames) : rejectVideoNotFound(name);
+            };
+
+            /**
+             * Gets the frame rate used for frame stepping
+             * @param {string} name - The data-video-name value or CSS selector
+             * @returns {number|null} The frameRate setting, the detected frame rate or 30
+             */
+            hypeDocument.getVideoFrameRate = function(name) {
+                const video = this.getVideo(name);
+                return video ? getVideoFrameRate(video) : null;
+            };
+
+            /**
+             * Loops a section of a video
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {number} start - Region start in seconds
+             * @param {number} end - Region end in seconds
+             * @param {number} [count] - Number of loops before playback continues (default endless)
+             * @returns {boolean} True if the region was set
+             */
+            hypeDocument.setVideoLoopRegion = function(name, start, end, count) {
+                const video = this.getVideo(name);
+                return video ? setLoopRegion(this, video, start, end, count) : false;
+            };
+
+            /**
+             * Removes the loop region of a video
+             * @param {string} name - The data-video-name value or CSS selector
+             */
+            hypeDocument.clearVideoLoopRegion = function(name) {
+                const video = this.getVideo(name);
+                if (video) clearLoopRegion(video);
             };
 
             /**
              * Seeks to a specific time in the video
              * @param {string} name - The data-video-name value or CSS selector
              * @param {number} time - The time in seconds to seek to
+             * @returns {Promise} Resolves with the new currentTime once the seek completed
              */
             hypeDocument.seekVideoTo = function(name, time) {
                 const video = this.getVideo(name);
-                if (video && time >= 0 && time <= video.duration) {
-                    video.currentTime = time;
-                }
+                return video ? seekVideoElement(video, time) : rejectVideoNotFound(name);
             };
 
             /**
              * Toggles the mute state of a video
              * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Promise} Resolves with the new muted state
              */
             hypeDocument.toggleVideoMute = function(name) {
                 const video = this.getVideo(name);
-                if (video) {
-                    video.muted = !video.muted;
-                }
+                if (!video) return rejectVideoNotFound(name);
+                video.muted = !video.muted;
+                return Promise.resolve(video.muted);
             };
 
             /**
@@ -494,23 +4818,337 @@ if ("HypeVideoController" in window === false) {
                 return video ? video.duration : null;
             };
 
+            /**
+             * Gets the engagement summary of a tracked video (watch time, watched ranges,
+             * heatmap, seeks, stalls, autoplay failures and completions)
+             * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Object|null} The summary, or null if the video isn't tracked
+             */
+            hypeDocument.getVideoEngagement = function(name) {
+                const video = this.getVideo(name);
+                return video ? getEngagementSummary(video) : null;
+            };
+
             /**
              * Seeks to a specific percentage in the video
              * @param {string} name - The data-video-name value or CSS selector
              * @param {number} percentage - The percentage to seek to (0-100)
-             * @returns {number|null} The new currentTime if seek was successful, or null otherwise
+             * @returns {Promise} Resolves with the new currentTime once the seek completed
              */
             hypeDocument.seekVideoToPercentage = function(name, percentage) {
                 const video = this.getVideo(name);
-                if (video && percentage >= 0 && percentage <= 100) {
-                    const duration = video.duration;
-                    const seekTime = (percentage / 100) * duration;
-                    video.currentTime = seekTime;
-                    return seekTime;
+                if (!video) return rejectVideoNotFound(name);
+                if (!(percentage >= 0 && percentage <= 100) || !isFinite(video.duration)) {
+                    return Promise.reject(new VideoControllerError('INVALID_ARGUMENT', `Cannot seek to ${percentage}%.`));
                 }
-                return null;
+                return seekVideoElement(video, (percentage / 100) * video.duration);
             };
-            
+
+            /**
+             * Waits for a video event or playback position
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {string|number} condition - A media event name (e.g. 'ended', 'playing') or a time in seconds
+             * @param {number} [timeout] - Optional timeout in milliseconds
+             * @returns {Promise} Resolves with the video, rejects with TIMEOUT or ABORTED
+             */
+            hypeDocument.waitForVideo = function(name, condition, timeout) {
+                const video = this.getVideo(name);
+                if (!video) return rejectVideoNotFound(name);
+
+                let wait;
+                if (typeof condition === 'number') {
+                    if (video.currentTime >= condition) return Promise.resolve(video);
+                    wait = waitForVideoEvent(video, ['timeupdate'], () => video.currentTime >= condition);
+                } else if (typeof condition === 'string' && condition) {
+                    if (condition === 'ended' && video.ended) return Promise.resolve(video);
+                    wait = waitForVideoEvent(video, [condition]);
+                } else {
+                    return Promise.reject(new VideoControllerError('INVALID_ARGUMENT', 'Wait for an event name or a time in seconds.'));
+                }
+
+                if (timeout > 0) {
+                    const timer = setTimeout(() => {
+                        wait.cancel(new VideoControllerError('TIMEOUT', `Timed out waiting for "${condition}".`));
+                    }, timeout);
+                    wait.then(() => clearTimeout(timer), () => clearTimeout(timer));
+                }
+                return wait;
+            };
+
+            /**
+             * Adds a cue point that triggers a custom behavior when playback crosses the given time.
+             * Cues are cleared when the scene unloads.
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {number} time - The time in seconds
+             * @param {string} behaviorName - The custom behavior to trigger
+             */
+            hypeDocument.addVideoCue = function(name, time, behaviorName) {
+                const video = this.getVideo(name);
+                if (video && time >= 0 && behaviorName) {
+                    addVideoCue(video, time, behaviorName);
+                }
+            };
+
+            /**
+             * Removes all cue points from a video
+             * @param {string} name - The data-video-name value or CSS selector
+             */
+            hypeDocument.clearVideoCues = function(name) {
+                const video = this.getVideo(name);
+                if (video) {
+                    clearVideoCues(video);
+                }
+            };
+
+            /**
+             * Assigns a playlist to a video. The video advances through the sources on "ended".
+             * Pass an empty array or null to remove the playlist.
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {Array} urls - The source URLs to play in sequence
+             * @param {Object} [options] - Options: loop (boolean), preload (boolean, default true)
+             */
+            hypeDocument.setVideoPlaylist = function(name, urls, options) {
+                const video = this.getVideo(name);
+                if (video) {
+                    setVideoPlaylist(video, urls, options);
+                }
+            };
+
+            /**
+             * Skips to the next item in a video's playlist
+             * @param {string} name - The data-video-name value or CSS selector
+             */
+            hypeDocument.nextVideoPlaylistItem = function(name) {
+                const video = this.getVideo(name);
+                if (video && videoPlaylists.has(video)) {
+                    advanceVideoPlaylist(this, video);
+                }
+            };
+
+            /**
+             * Goes back to the previous item in a video's playlist
+             * @param {string} name - The data-video-name value or CSS selector
+             */
+            hypeDocument.previousVideoPlaylistItem = function(name) {
+                const video = this.getVideo(name);
+                const playlist = video ? videoPlaylists.get(video) : null;
+                if (playlist) {
+                    const previousIndex = playlist.index > 0 ? playlist.index - 1 : (playlist.loop ? playlist.items.length - 1 : 0);
+                    playPlaylistItem(this, video, previousIndex);
+                }
+            };
+
+            /**
+             * Gets the index of the current playlist item
+             * @param {string} name - The data-video-name value or CSS selector
+             * @returns {number|null} The playlist index, or null if the video has no playlist
+             */
+            hypeDocument.getVideoPlaylistIndex = function(name) {
+                const video = this.getVideo(name);
+                const playlist = video ? videoPlaylists.get(video) : null;
+                return playlist ? playlist.index : null;
+            };
+
+            /**
+             * Gets the playback state of a video
+             * (currentTime, duration, percent, buffered, paused, muted, volume and lastEvent)
+             * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Object|null} A copy of the playback state, or null if video not found
+             */
+            hypeDocument.getVideoState = function(name) {
+                const video = this.getVideo(name);
+                return video ? { ...readVideoState(video) } : null;
+            };
+
+            /**
+             * Switches the captions of a video to a language or turns them off
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {string|boolean} lang - The language code, true to show the last or first language, false to turn captions off
+             * @param {string} [targetId] - Optional Hype element ID to render the captions into
+             */
+            hypeDocument.setVideoCaptions = function(name, lang, targetId) {
+                const video = this.getVideo(name);
+                if (video) {
+                    const captionState = getCaptionState(video);
+                    if (targetId !== undefined) captionState.target = targetId || null;
+                    watchCaptionTracks(this, video);
+                    applyCaptionLanguage(video, lang);
+
+                    // Clear the target element when captions are turned off
+                    const target = captionState.target ? this.getElementById(captionState.target) : null;
+                    if (target && captionState.lang === false) target.innerHTML = '';
+                }
+            };
+
+            /**
+             * Gets the languages of the caption tracks of a video
+             * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Array} The language codes of the caption tracks
+             */
+            hypeDocument.getVideoCaptionLanguages = function(name) {
+                const video = this.getVideo(name);
+                return video ? getCaptionTracks(video).map(track => track.language) : [];
+            };
+
+            /**
+             * Assigns chapters to a video
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {Array} chapters - Array of {id, title, start, end} objects (end is optional)
+             */
+            hypeDocument.setVideoChapters = function(name, chapters) {
+                const video = this.getVideo(name);
+                if (video) {
+                    setVideoChapters(video, chapters);
+                }
+            };
+
+            /**
+             * Gets the chapters of a video
+             * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Array} Array of {id, title, start, end, index} objects
+             */
+            hypeDocument.getVideoChapters = function(name) {
+                const video = this.getVideo(name);
+                const state = video ? videoChapters.get(video) : null;
+                return state ? state.chapters.map((chapter, index) => ({ ...chapter, index })) : [];
+            };
+
+            /**
+             * Jumps to the start of a chapter
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {string|number} chapterIdOrIndex - The chapter id or 0-based index
+             * @returns {Promise} Resolves with the chapter once the seek completed
+             */
+            hypeDocument.goToVideoChapter = function(name, chapterIdOrIndex) {
+                const video = this.getVideo(name);
+                if (!video) return rejectVideoNotFound(name);
+
+                const index = resolveChapterIndex(video, chapterIdOrIndex);
+                if (index === -1) {
+                    return Promise.reject(new VideoControllerError('INVALID_ARGUMENT', `Chapter "${chapterIdOrIndex}" not found.`));
+                }
+
+                const chapter = videoChapters.get(video).chapters[index];
+                return seekVideoElement(video, chapter.start).then(() => ({ ...chapter, index }));
+            };
+
+            /**
+             * Jumps to the next chapter
+             * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Promise} Resolves with the chapter, or null if there is no next chapter
+             */
+            hypeDocument.nextVideoChapter = function(name) {
+                const video = this.getVideo(name);
+                if (!video) return rejectVideoNotFound(name);
+                if (!videoChapters.has(video)) return Promise.resolve(null);
+
+                const chapters = videoChapters.get(video).chapters;
+                const index = chapters.findIndex(chapter => chapter.start > video.currentTime);
+                return index === -1 ? Promise.resolve(null) : this.goToVideoChapter(name, index);
+            };
+
+            /**
+             * Jumps to the previous chapter
+             * @param {string} name - The data-video-name value or CSS selector
+             * @returns {Promise} Resolves with the chapter, or null if there is no previous chapter
+             */
+            hypeDocument.previousVideoChapter = function(name) {
+                const video = this.getVideo(name);
+                if (!video) return rejectVideoNotFound(name);
+                if (!videoChapters.has(video)) return Promise.resolve(null);
+
+                const index = getChapterIndexAt(video, video.currentTime);
+                return index > 0 ? this.goToVideoChapter(name, index - 1) : Promise.resolve(null);
+            };
+
+            /**
+             * Sets the branching graph of a video and starts at its start segment
+             * @param {string} name - The data-video-name value or CSS selector
+             * @param {Object} graph - The graph ({start, segments})
+             * @returns {boolean} True if the graph was valid and set
+             */
+            hypeDocument.setVideoBranches = function(name, graph) {
+                const video = this.getVideo(name);
+                return video ? setVideoBranches(this, video, graph) : false;
+            };
+
+            /**
+             * Chooses a branch of the open (or upcoming) decision
+             * @param {string} name - The data-video-name value or CSS selector of the video holding the graph
+             * @param {string} choiceId - The choice id
+             * @returns {boolean} True if the branch was taken
+             */
+            hypeDocument.chooseVideoBranch = function(name, choiceId) {
+                const video = this.getVideo(name);
+                const branching = video ? videoBranches.get(video) : null;
+                return branching ? chooseBranch(this, branching, choiceId) : false;
+            };
+
+            /**
+             * Gets the path taken through the branching graph during this scene visit
+             * @param {string} name - The data-video-name value or CSS selector of the video holding the graph
+             * @returns {Array|null} The entered segments as {segment, choice} objects
+             */
+            hypeDocument.getVideoBranchPath = function(name) {
+                const video = this.getVideo(name);
+                const branching = video ? videoBranches.get(video) : null;
+                return branching ? branching.path.map(step => ({ ...step })) : null;
+            };
+
+            /**
+             * Forgets the remembered playback position of a video (see resume)
+             * @param {string} name - The data-video-name value or CSS selector
+             */
+            hypeDocument.clearVideoResume = function(name) {
+                const video = this.getVideo(name);
+                if (video) {
+                    clearSavedPosition(this, video);
+                }
+            };
+
+            /**
+             * Plays all videos of a sync group in the current scene, aligned to the master
+             * @param {string} group - The data-video-sync-group value
+             * @returns {Promise} Resolves with the member videos once all are playing
+             */
+            hypeDocument.playVideoGroup = function(group) {
+                const syncGroup = findSyncGroup(this.getElementById(this.currentSceneId()), group);
+                if (!syncGroup) return rejectVideoNotFound(`group ${group}`);
+
+                return Promise.all(syncGroup.members.map(member => {
+                    if (member !== syncGroup.master) member.currentTime = syncGroup.master.currentTime;
+                    return playVideoElement(member);
+                }));
+            };
+
+            /**
+             * Pauses all videos of a sync group in the current scene
+             * @param {string} group - The data-video-sync-group value
+             * @returns {Promise} Resolves with the member videos once all are paused
+             */
+            hypeDocument.pauseVideoGroup = function(group) {
+                const syncGroup = findSyncGroup(this.getElementById(this.currentSceneId()), group);
+                if (!syncGroup) return rejectVideoNotFound(`group ${group}`);
+
+                return Promise.all(syncGroup.members.map(member => {
+                    syncHolds.delete(member);
+                    return pauseVideoElement(member);
+                }));
+            };
+
+            /**
+             * Seeks all videos of a sync group in the current scene
+             * @param {string} group - The data-video-sync-group value
+             * @param {number} time - The time in seconds to seek to
+             * @returns {Promise} Resolves once all members completed the seek
+             */
+            hypeDocument.seekVideoGroup = function(group, time) {
+                const syncGroup = findSyncGroup(this.getElementById(this.currentSceneId()), group);
+                if (!syncGroup) return rejectVideoNotFound(`group ${group}`);
+
+                return Promise.all(syncGroup.members.map(member => seekVideoElement(member, time)));
+            };
+
             /**
              * Mutes all videos in the current scene
              */
@@ -544,8 +5182,20 @@ if ("HypeVideoController" in window === false) {
          * @param {Object} event - The event object.
          */
         function HypeScenePrepareForDisplay(hypeDocument, element, event) {
+            // Remember the scene name for scene defaults (setVideoSceneDefault)
+            sceneNames.set(hypeDocument.getElementById(hypeDocument.currentSceneId()), hypeDocument.currentSceneName());
             setupVideoEndedListeners(hypeDocument);
+            setupVideoSources(hypeDocument);
+            setupVideoCues(hypeDocument);
+            setupVideoPlaylists(hypeDocument);
+            setupVideoControls(hypeDocument);
+            setupVideoCaptions(hypeDocument);
+            setupVideoChapters(hypeDocument);
+            setupSyncGroups(hypeDocument);
+            setupVideoBranches(hypeDocument);
             startSceneVideos(hypeDocument);
+            setupViewportObservers(hypeDocument);
+            setupMediaSession(hypeDocument);
         }
 
         /**
@@ -557,6 +5207,7 @@ if ("HypeVideoController" in window === false) {
          */
         function HypeSceneUnload(hypeDocument, element, event) {
             stopSceneVideos(hypeDocument);
+            if ('mediaSession' in navigator) clearMediaSession(element);
         }
 
         /**
@@ -573,6 +5224,10 @@ if ("HypeVideoController" in window === false) {
                 video.removeAttribute('autoplay');
                 video.autoplay = false;
             });
+
+            // Manage resources once the scene is shown (preload, releaseDistance)
+            releaseDistantScenes(hypeDocument);
+            preloadNextScene(hypeDocument);
         }
 
         // Register event listeners
@@ -584,10 +5239,33 @@ if ("HypeVideoController" in window === false) {
         window.HYPE_eventListeners.push({ "type": "HypeSceneLoad", "callback": HypeSceneLoad });
         window.HYPE_eventListeners.push({ "type": "HypeSceneUnload", "callback": HypeSceneUnload });
 
+        // Pause and resume videos when the page is hidden (pauseOnHidden)
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        // Send batched engagement data before the page goes away (trackingEndpoint)
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flushBeaconQueues();
+        });
+        window.addEventListener('pagehide', flushBeaconQueues);
+
+        // Commands from host pages and parent frames (messageBridge)
+        window.addEventListener('message', handleBridgeMessage);
+
+        // Recover blocked autoplay and unmute on user gestures (autoplayFailAction, unmuteOnGesture)
+        ['pointerdown', 'keydown', 'touchend'].forEach(type => {
+            document.addEventListener(type, handleUserGesture, true);
+        });
+
         return {
             version: _version,
             setDefault: setDefault,
             getDefault: getDefault,
+            getEffectiveVideoSettings: getEffectiveVideoSettings,
+            VideoControllerError: VideoControllerError,
+            registerSourceAdapter: registerSourceAdapter,
+            unregisterSourceAdapter: unregisterSourceAdapter,
+            registerTrackingSink: registerTrackingSink,
+            unregisterTrackingSink: unregisterTrackingSink,
         };
 
     })();
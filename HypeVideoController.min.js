@@ -1,14 +1,123 @@
 /*
- Hype Video Controller v1.1.0
+ Hype Video Controller v1.1.22
  Copyright (2025) Max Ziebell. MIT-license
 */
-'use strict';"HypeVideoController"in window===!1&&(window.HypeVideoController=function(){function p(a){a.querySelectorAll("video").forEach(c=>{c.pause();c.currentTime=0})}function q(a){if(g.autoObserver){var c=document.getElementById(a.documentId()),d=new MutationObserver(e=>{e.forEach(f=>{f.type==="attributes"&&f.attributeName==="style"&&f.target.classList.contains("HYPE_scene")&&(f=f.target,window.getComputedStyle(f).display==="none"&&p(f))})});c=c.getElementsByClassName("HYPE_scene");var b={attributes:!0,
-attributeFilter:["style"]};Array.from(c).forEach(e=>{d.observe(e,b)});r.set(a,d)}}function h(a,c,d){var b=(b=d.closest(".HYPE_scene"))?window.getComputedStyle(b).display!=="none":!1;b&&(a.triggerCustomBehaviorNamed(c),(d=d.getAttribute("data-video-name"))&&a.triggerCustomBehaviorNamed(`${c} ${d}`),window.HypeReactiveContent&&a.refreshReactiveContentDebounced())}function t(a,c){l(a);let d=a.currentTime;var b=k(a,"stallTimeout");b=setTimeout(()=>{a.paused||a.currentTime!==d||(console.warn("Video playback stalled."),
-h(c,"Video Stalled",a),k(a,"endOnStall")&&(console.log('"endOnStall" is true. Triggering "Video Ended" as a fallback.'),a.pause(),h(c,"Video Ended",a)))},b);m.set(a,b)}function l(a){m.has(a)&&(clearTimeout(m.get(a)),m.delete(a))}function u(a){a.getElementById(a.currentSceneId()).querySelectorAll("video").forEach(c=>{n.has(c)||(c.addEventListener("ended",()=>{l(c);h(a,"Video Ended",c)}),c.addEventListener("playing",()=>{l(c);c.paused||c.ended||c.hasAttribute("data-autoplay-failed")||h(a,"Video Started",
-c);c.removeAttribute("data-autoplay-failed")}),c.addEventListener("pause",()=>{l(c);h(a,"Video Paused",c)}),c.addEventListener("waiting",()=>{t(c,a)}),n.add(c))})}function k(a,c){var d={endOnStall:"end-on-stall",endOnAutoplayFail:"end-on-autoplay-fail",stallTimeout:"stall-timeout",autoPlaysInline:"plays-inline",autoMute:"auto-mute",autoPlay:"auto-play"}[c]||c.toLowerCase();const b=c.toLowerCase();d=a.getAttribute(`data-video-${d}`);d===null&&(d=a.getAttribute(`data-video-${b}`));if(d!==null){if(typeof g[c]===
-"boolean")return d==="true";if(typeof g[c]==="number"&&(a=parseInt(d,10),!isNaN(a)))return a}return g[c]}function v(a){a.getElementById(a.currentSceneId()).querySelectorAll("video").forEach(c=>{k(c,"autoMute")&&(c.muted=!0);k(c,"autoPlaysInline")&&(c.playsInline=!0);requestAnimationFrame(()=>{if(k(c,"autoPlay")){c.removeAttribute("autoplay");c.autoplay=!1;c.currentTime=0;const d=c.play();d!==void 0&&d.catch(b=>{console.warn(`Autoplay failed for video: ${c.id||"unnamed"}`,b);c.setAttribute("data-autoplay-failed",
-"true");h(a,"Video Autoplay Failed",c);k(c,"endOnAutoplayFail")&&(console.log('Triggering "Video Ended" due to autoplay failure.'),setTimeout(()=>{h(a,"Video Ended",c)},0))})}})})}function w(a,c){(a=a.getElementById(a.currentSceneId()))&&a.querySelectorAll("video").forEach(d=>{d.pause();c&&(d.currentTime=0);d.removeAttribute("data-autoplay-failed")})}const n=new WeakSet,r=new WeakMap,m=new WeakMap,g={autoPlay:!0,autoMute:!0,autoPlaysInline:!0,autoObserver:!0,endOnStall:!0,stallTimeout:2E3,endOnAutoplayFail:!0};
-"HYPE_eventListeners"in window===!1&&(window.HYPE_eventListeners=[]);window.HYPE_eventListeners.push({type:"HypeDocumentLoad",callback:function(a,c,d){q(a);a.getVideo=function(b){const e=this.getElementById(this.currentSceneId());return b?b.match(/^[.#\[]/)||b.includes(" ")?e.querySelector(b):e.querySelector(`video[data-video-name="${b}"]`):e.querySelector("video")};a.isVideoPlaying=function(b){return(b=this.getVideo(b))?!b.paused&&!b.ended:!1};a.playVideo=function(b){const e=this.getVideo(b);e&&
-e.play().catch(f=>{console.warn(`Failed to play video "${b}":`,f)})};a.pauseVideo=function(b){(b=this.getVideo(b))&&b.pause()};a.stopVideo=function(b){if(b=this.getVideo(b))b.pause(),b.currentTime=0};a.setVideoVolume=function(b,e){(b=this.getVideo(b))&&e>=0&&e<=1&&(b.volume=e)};a.seekVideoTo=function(b,e){(b=this.getVideo(b))&&e>=0&&e<=b.duration&&(b.currentTime=e)};a.toggleVideoMute=function(b){if(b=this.getVideo(b))b.muted=!b.muted};a.getVideoDuration=function(b){return(b=this.getVideo(b))?b.duration:
-null};a.seekVideoToPercentage=function(b,e){return(b=this.getVideo(b))&&e>=0&&e<=100?(e=e/100*b.duration,b.currentTime=e):null};a.muteAllVideos=function(){this.getElementById(this.currentSceneId()).querySelectorAll("video").forEach(b=>{b.muted=!0})};a.unmuteAllVideos=function(){this.getElementById(this.currentSceneId()).querySelectorAll("video").forEach(b=>{b.muted=!1})}}});window.HYPE_eventListeners.push({type:"HypeScenePrepareForDisplay",callback:function(a,c,d){u(a);v(a)}});window.HYPE_eventListeners.push({type:"HypeSceneLoad",
-callback:function(a,c,d){c.querySelectorAll("video").forEach(b=>{b.removeAttribute("autoplay");b.autoplay=!1})}});window.HYPE_eventListeners.push({type:"HypeSceneUnload",callback:function(a,c,d){w(a)}});return{version:"1.1.0",setDefault:function(a,c){typeof a==="object"?Object.assign(g,a):g[a]=c},getDefault:function(a){return a?g[a]:{...g}}}}());
+'use strict';"HypeVideoController"in window===!1&&(window.HypeVideoController=function(){function ub(a,b){var c=vb[a];if(!c)return b;var d=typeof b==="string"?b.trim():b,e;switch(c.type){case "boolean":typeof d==="boolean"&&(e=d);typeof d==="string"&&(e=d==="true");break;case "integer":e=typeof d==="string"&&/^-?\d+$/.test(d)?Number(d):d;Number.isInteger(e)||(e=void 0);break;case "number":e=typeof d==="string"&&d!==""?Number(d):d;typeof e==="number"&&isFinite(e)||(e=void 0);break;case "enum":c.values.includes(d)&&
+(e=d);break;case "string":typeof d==="string"&&(e=d)}typeof e==="number"&&(c.min!==void 0&&e<c.min||c.max!==void 0&&e>c.max)&&(e=void 0);e===void 0&&(c=`${a}:${b}`,na.has(c)||(na.add(c),console.warn(`Invalid value for video setting "${a}":`,b)));return e}function Na(a,b,c){var d=typeof b==="object"?b:{[b]:c};Object.keys(d).forEach(e=>{var f=ub(e,d[e]);f!==void 0&&(a[e]=f)})}function Oa(a,b){return(b=b.getAttribute("data-video-name")||b.id)?`${a.documentName()}/${b}`:null}function oa(a,b){if(k(b,"resume")&&
+(a=Oa(a,b))){var c={time:b.ended?0:b.currentTime,muted:b.muted,volume:b.volume};X.set(a,c);if(k(b,"resumeStorage"))try{localStorage.setItem(`HypeVideoController/${a}`,JSON.stringify(c))}catch(d){}}}function sc(a,b){a=Oa(a,b);if(!a)return null;if(X.has(a))return X.get(a);if(k(b,"resumeStorage"))try{let c=JSON.parse(localStorage.getItem(`HypeVideoController/${a}`));c&&X.set(a,c);return c}catch(c){}return null}function tc(a,b){if(!k(b,"resume"))return!1;var c=sc(a,b);if(!c)return!1;c.muted||navigator.userActivation&&
+navigator.userActivation.hasBeenActive?b.muted=!!c.muted:b.muted&&Pa.add(b);c.volume>=0&&c.volume<=1&&(b.volume=c.volume);if(!(c.time>0))return!1;b.currentTime=c.time;m(a,"Video Resumed",b);return!0}function wb(a){var b=pa.findIndex(c=>a&&c.name===a);b!==-1&&pa.splice(b,1)}function xb(a){a=a.split(/[?#]/)[0].toLowerCase();return a.endsWith(".m3u8")?"application/vnd.apple.mpegurl":a.endsWith(".mpd")?"application/dash+xml":null}function Qa(a,b,c){console.warn(`Video source failed for video: ${b.id||
+"unnamed"}`,c);v.has(b)||m(a,"Video Stalled",b);v.has(b)||k(b,"recoveryRetries")>0?qa(a,b,"source"):Ra(a,b)}function Sa(a,b){var c=b.getAttribute("data-video-src");if(c){var d=w.get(b);if(!d||d.url!==c)if(ra(b),d=xb(c),!d||b.canPlayType(d))b.getAttribute("src")!==c&&(b.src=c),w.set(b,{url:c,teardown:null});else if(d=pa.find(f=>f.canHandle(c,b))){var e={url:c,teardown:null};w.set(b,e);try{e.teardown=d.attach(b,c,{hypeDocument:a,error:f=>{w.get(b)===e&&Qa(a,b,f)}})}catch(f){requestAnimationFrame(()=>
+{w.get(b)===e&&Qa(a,b,f)})}}else requestAnimationFrame(()=>{w.has(b)||b.getAttribute("data-video-src")!==c||Qa(a,b,`No source adapter registered for "${c}"`)})}}function ra(a){var b=w.get(a);if(b&&(w.delete(a),a=b.teardown))try{typeof a==="function"?a():typeof a.destroy==="function"&&a.destroy()}catch(c){console.warn("Failed to tear down source adapter:",c)}}function uc(a){var b=a.getElementById(a.currentSceneId());b.querySelectorAll("video[data-video-src]").forEach(c=>{Y.delete(c);k(c,"preload")===
+"none"&&(c.preload="none");Sa(a,c)});b.querySelectorAll("video").forEach(c=>{yb(c);zb(c)})}function Ab(a){return(a=document.getElementById(a.documentId()))?Array.from(a.getElementsByClassName("HYPE_scene")):[]}function zb(a){var b=k(a,"posterTime");if(b&&!a.getAttribute("poster")&&!Ta.has(a)){var c=a.getAttribute("data-video-src")||a.currentSrc||a.getAttribute("src");if(c){var d=xb(c);if(!d||a.canPlayType(d)){var e=`${(new URL(c,document.baseURI)).href}#${b}`;if(Ua.has(e))a.poster=Ua.get(e);else{var f=
+document.createElement("video");Ta.set(a,f);f.crossOrigin=a.crossOrigin||"anonymous";f.muted=!0;f.preload="auto";var g=()=>{Ta.delete(a);f.removeAttribute("src");f.load()};f.addEventListener("loadedmetadata",()=>{f.currentTime=Math.min(b,f.duration||b)},{once:!0});f.addEventListener("seeked",()=>{try{let h=document.createElement("canvas");h.width=f.videoWidth;h.height=f.videoHeight;h.getContext("2d").drawImage(f,0,0);let l=h.toDataURL("image/jpeg",.8);Ua.set(e,l);a.getAttribute("poster")||(a.poster=
+l)}catch(h){console.warn(`Failed to capture a poster frame for video: ${a.id||"unnamed"}`,h)}g()},{once:!0});f.addEventListener("error",g,{once:!0});f.src=c}}}}}function vc(a){var b=Ab(a),c=a.getElementById(a.currentSceneId());(b=b[b.indexOf(c)+1])&&b.querySelectorAll("video").forEach(d=>{k(d,"preload")==="next-scene"&&(Y.delete(d),yb(d),d.hasAttribute("data-video-src")&&(d.preload="auto",Sa(a,d)),zb(d))})}function wc(a){if(!Y.has(a)){var b=a.getAttribute("src"),c=Array.from(a.querySelectorAll("source"));
+if(!a.hasAttribute("data-video-src"))if(b)a.setAttribute("data-video-src",b);else if(!c.length)return;a.pause();ra(a);a.removeAttribute("src");c.length&&(sa.set(a,c),c.forEach(d=>d.remove()));a.load();Y.add(a)}}function yb(a){sa.has(a)&&(a.prepend(...sa.get(a)),sa.delete(a),Y.delete(a),a.load())}function Bb(a){var b=O(a,"releaseDistance");if(b){var c=Ab(a),d=c.indexOf(a.getElementById(a.currentSceneId()));d!==-1&&c.forEach((e,f)=>{Math.abs(f-d)>b&&e.querySelectorAll("video").forEach(wc)})}}function Z(a,
+b,c){var d,e=new Promise((f,g)=>{aa.has(a)||aa.set(a,new Set);var h=aa.get(a),l=()=>{b.forEach(p=>a.removeEventListener(p,q));h.delete(d)},q=p=>{if(!c||c(p))l(),f(a)};d=p=>{l();g(p)};b.forEach(p=>a.addEventListener(p,q));h.add(d)});e.cancel=d;return e}function xc(a){aa.has(a)&&aa.get(a).forEach(b=>{b(new r("ABORTED","The video was stopped because its scene unloaded."))})}function n(a){return Promise.reject(new r("VIDEO_NOT_FOUND",`Video "${a||"first in scene"}" not found in the current scene.`))}
+function Cb(a){if(!a.paused&&!a.ended&&a.readyState>2)return Promise.resolve(a);var b=Z(a,["playing"]);a=a.play();a!==void 0&&a.catch(c=>{var d=c&&c.name==="NotAllowedError";b.cancel(new r(d?"AUTOPLAY_BLOCKED":"PLAY_FAILED",d?"Playback was blocked by the browser.":"Playback failed.",c))});return b}function ta(a){if(a.paused)return Promise.resolve(a);var b=Z(a,["pause"]);a.pause();return b}function P(a,b){var c=a.duration;if(typeof b!=="number"||isNaN(b)||b<0||isFinite(c)&&b>c)return Promise.reject(new r("INVALID_ARGUMENT",
+`Cannot seek to ${b}, the time must be between 0 and the duration.`));if(a.readyState===0)return a.currentTime=b,Promise.resolve(a.currentTime);c=Z(a,["seeked"]);a.currentTime=b;return c.then(()=>a.currentTime)}function yc(a,b){b.querySelectorAll("video").forEach(c=>{oa(a,c);I.has(c)?I.get(c).reset=!0:(c.pause(),c.currentTime=0)})}function zc(a){if(O(a,"autoObserver")){var b=document.getElementById(a.documentId()),c=new MutationObserver(e=>{e.forEach(f=>{f.type==="attributes"&&f.attributeName==="style"&&
+f.target.classList.contains("HYPE_scene")&&(f=f.target,window.getComputedStyle(f).display==="none"&&(yc(a,f),Bb(a)))})});b=b.getElementsByClassName("HYPE_scene");var d={attributes:!0,attributeFilter:["style"]};Array.from(b).forEach(e=>{c.observe(e,d)});Ac.set(a,c)}}function B(a,b){return(a=b.closest(".HYPE_scene"))?window.getComputedStyle(a).display!=="none":!1}function m(a,b,c){if(B(a,c)){a.triggerCustomBehaviorNamed(b);var d=c.getAttribute("data-video-name");d&&a.triggerCustomBehaviorNamed(`${b} ${d}`);
+C(a,c,{lastEvent:b});Bc(a,b,c)}}function Q(a,b){Va.has(a)||Va.set(a,{lastEvent:null,captionText:"",chapter:null,recoveryAttempt:0,loopCount:0,branchSegment:null});var c=Va.get(a),d=isFinite(a.duration)?a.duration:0,e=Object,f=e.assign,g=a.getAttribute("data-video-name")||a.id||null,h=a.currentTime,l=d?a.currentTime/d*100:0;{let p=a.duration,D=a.buffered;if(p&&isFinite(p)&&D&&D.length){var q=D.end(D.length-1);for(let ba=0;ba<D.length;ba++)if(D.start(ba)<=a.currentTime&&D.end(ba)>=a.currentTime){q=
+D.end(ba);break}q=Math.min(100,q/p*100)}else q=0}return f.call(e,c,{name:g,currentTime:h,duration:d,percent:l,buffered:q,paused:a.paused,muted:a.muted,volume:a.volume,playbackRate:a.playbackRate},b)}function C(a,b,c){var d=Q(b,c);d.name&&a.customData&&(a.customData.videos||(a.customData.videos={}),a.customData.videos[d.name]={...d});window.HypeReactiveContent&&a.refreshReactiveContentDebounced();ca.has(b)&&ca.get(b).forEach(e=>e(d))}function Db(a,b){ca.has(a)||ca.set(a,new Set);ca.get(a).add(b);b(Q(a))}
+function Cc(a,b){ua.has(b)||ua.set(b,{lastEventTime:0,lastPercent:0,quartiles:new Set});var c=ua.get(b),d=b.duration;if(d&&isFinite(d)){var e=b.currentTime/d*100;d=k(b,"progressInterval");if(d>0&&!b.paused){let f=Date.now();f-c.lastEventTime>=d&&(c.lastEventTime=f,m(a,"Video Progress",b))}k(b,"quartileEvents")&&[25,50,75].forEach(f=>{!c.quartiles.has(f)&&f>=c.lastPercent&&f<=e&&(c.quartiles.add(f),m(a,`Video Quartile ${f}`,b))});c.lastPercent=e}}function Wa(a){var b=ua.get(a);if(b&&a.duration){var c=
+a.currentTime/a.duration*100;b.quartiles.forEach(d=>{d>=c&&b.quartiles.delete(d)});b.lastPercent=c}}function Eb(a,b){J(a);var c=a.currentTime,d=k(a,"stallTimeout");d=setTimeout(()=>{v.has(a)||a.paused||a.currentTime!==c||(console.warn("Video playback stalled."),m(b,"Video Stalled",a),K(b,a,"stall"),k(a,"recoveryRetries")>0?qa(b,a,"stall"):k(a,"endOnStall")&&(console.log('"endOnStall" is true. Triggering "Video Ended" as a fallback.'),Fb(b,a)))},d);va.set(a,d)}function J(a){va.has(a)&&(clearTimeout(va.get(a)),
+va.delete(a))}function Fb(a,b){J(b);var c=da(b);c?(c.members.forEach(d=>{t.delete(d);d.pause()}),R(a,c.master)):(b.pause(),R(a,b))}function Ra(a,b){Xa(b);C(a,b,{recoveryAttempt:0});m(a,"Video Error",b);k(b,"endOnStall")&&(console.log('"endOnStall" is true. Triggering "Video Ended" as a fallback.'),Fb(a,b))}function Dc(a){var b=[],c=d=>{d&&(d=(new URL(d,document.baseURI)).href,b.includes(d)||b.push(d))};c(a.getAttribute("data-video-src")||a.currentSrc||a.getAttribute("src"));a.querySelectorAll("source").forEach(d=>
+c(d.getAttribute("src")));c(k(a,"fallbackSrc"));return b}function Ec(a,b,c,d){b.addEventListener("loadedmetadata",()=>{d&&(b.currentTime=d);b.play().catch(e=>{console.warn(`Failed to resume video after reload: ${b.id||"unnamed"}`,e)})},{once:!0});b.hasAttribute("data-video-src")?(b.setAttribute("data-video-src",c),ra(b),Sa(a,b),w.has(b)&&w.get(b).teardown||b.load()):b.currentSrc!==c?b.src=c:b.load()}function qa(a,b,c){var d=v.get(b);d||(d={attempt:0,reason:c,position:b.currentTime,candidates:Dc(b),
+candidateIndex:0,timer:null,progressFrom:null},v.set(b,d));clearTimeout(d.timer);J(b);if(d.attempt>=k(b,"recoveryRetries"))console.warn(`Video recovery failed after ${d.attempt} attempts: ${b.id||"unnamed"}`),Ra(a,b);else{d.attempt++;C(a,b,{recoveryAttempt:d.attempt});m(a,"Video Recovering",b);var e=k(b,"recoveryDelay")*Math.pow(2,d.attempt-1);d.timer=setTimeout(()=>{var f=d.attempt;d.progressFrom=null;if(d.attempt===1)b.currentTime=Math.max(b.currentTime,d.position)+.1,b.play().catch(()=>{});else{d.attempt>
+2&&d.candidateIndex<d.candidates.length-1&&d.candidateIndex++;let g=d.candidates[d.candidateIndex];g?Ec(a,b,g,d.position):b.load()}v.get(b)===d&&d.attempt===f&&(d.timer=setTimeout(()=>{v.get(b)===d&&qa(a,b,c)},k(b,"stallTimeout")))},e)}}function Xa(a){var b=v.get(a);b&&(clearTimeout(b.timer),v.delete(a))}function Fc(a){return a?a.split(",").map(b=>{var c=b.indexOf(":");if(c===-1)return null;var d=parseFloat(b.slice(0,c));b=b.slice(c+1).trim();return!isNaN(d)&&d>=0&&b?{time:d,behavior:b}:null}).filter(Boolean):
+[]}function Gb(a,b,c){L.has(a)||L.set(a,{cues:[],lastTime:a.currentTime});a=L.get(a);a.cues.push({time:b,behavior:c,fired:b<a.lastTime});a.cues.sort((d,e)=>d.time-e.time)}function Gc(a,b){var c=L.get(b);if(c){var d=b.currentTime;c.cues.forEach(e=>{!e.fired&&e.time>=c.lastTime&&e.time<=d&&(e.fired=!0,m(a,e.behavior,b))});c.lastTime=d}}function Ya(a){var b=L.get(a);if(b){var c=a.currentTime;b.cues.forEach(d=>{d.time>=c&&(d.fired=!1)});b.lastTime=c}}function Hc(a){a.getElementById(a.currentSceneId()).querySelectorAll("video[data-video-cues]").forEach(b=>
+{Fc(b.getAttribute("data-video-cues")).forEach(c=>{Gb(b,c.time,c.behavior)})})}function wa(a,b){var c=b.getAttribute("data-video-timeline");if(c){var d=parseFloat(b.getAttribute("data-video-timeline-offset"))||0,e=parseFloat(b.getAttribute("data-video-timeline-rate"));e=isNaN(e)?1:e;var f=Math.max(0,(b.currentTime-d)*e);c.split(",").forEach(g=>{if(g=g.trim())a.pauseTimelineNamed(g),a.goToTimeInTimelineNamed(f,g)})}}function Ic(a,b){if(b.hasAttribute("data-video-timeline")){xa(b);var c=()=>{wa(a,b);
+b.paused||b.ended?ea.delete(b):ea.set(b,requestAnimationFrame(c))};c()}}function xa(a){ea.has(a)&&(cancelAnimationFrame(ea.get(a)),ea.delete(a))}function Jc(a){return a?a.split(",").map(b=>b.trim()).filter(Boolean):[]}function Hb(a,b,c={}){Za(a);var d=u.get(a);b&&b.length?(u.set(a,{items:b.slice(),index:0,loop:!!c.loop,preload:c.preload!==!1,failures:0,preloader:null,fromAttribute:!!c.fromAttribute,originalSrc:d?d.originalSrc:a.getAttribute("src")}),$a(a,0)):d&&(u.delete(a),d.originalSrc?a.setAttribute("src",
+d.originalSrc):a.removeAttribute("src"),a.load())}function $a(a,b){var c=u.get(a);if(c&&c.items[b])a:if(c.index=b,a.getAttribute("src")!==c.items[b]&&(a.src=c.items[b]),b=u.get(a),Za(a),b&&b.preload){a=b.index+1;if(a>=b.items.length){if(!b.loop)break a;a=0}b.items[a]!==b.items[b.index]&&(c=document.createElement("video"),c.preload="auto",c.muted=!0,c.src=b.items[a],b.preloader=c)}}function Za(a){(a=u.get(a))&&a.preloader&&(a.preloader.removeAttribute("src"),a.preloader.load(),a.preloader=null)}function Ib(a,
+b,c){$a(b,c);m(a,"Video Playlist Item Changed",b);c=b.play();c!==void 0&&c.catch(d=>{d&&d.name==="AbortError"||Jb(a,b,d)})}function Kb(a,b){var c=u.get(b);if(!c)return!1;var d=c.failures>=c.items.length,e=c.index+1;if(e>=c.items.length||d){if(!c.loop||d)return c.failures=0,m(a,"Video Playlist Ended",b),!1;e=0}Ib(a,b,e);return!0}function Kc(a){if(!a||a==="none")return null;var b=a.indexOf(":"),c=(b===-1?a:a.slice(0,b)).trim().toLowerCase();b=b===-1?"":a.slice(b+1).trim();switch(c){case "next-scene":case "previous-scene":return{type:c};
+case "scene":case "timeline":if(b)return{type:c,target:b};break;case "loop":if(b=b?parseInt(b,10):Infinity,b>0)return{type:c,count:b}}c=`onEnded:${a}`;na.has(c)||(na.add(c),console.warn(`Invalid video ended action "${a}". Use next-scene, previous-scene, scene:<name>, timeline:<name> or loop:<count>.`));return null}function Lc(a,b,c){var d=Mc[k(b,"onEndedTransition")];b=k(b,"onEndedDuration");switch(c.type){case "next-scene":a.showNextScene(a[d],b);break;case "previous-scene":a.showPreviousScene(a[d],
+b);break;case "scene":if(a.sceneNames&&!a.sceneNames().includes(c.target)){console.warn(`Video ended action: scene "${c.target}" not found.`);break}a.showSceneNamed(c.target,a[d],b);break;case "timeline":a.startTimelineNamed(c.target,a.kDirectionForward)}}function R(a,b){if(!Kb(a,b)){var c=Kc(k(b,"onEnded"));if(c&&c.type==="loop"&&B(a,b)){let d=ya.get(b)||0;if(d<c.count){ya.set(b,d+1);b.currentTime=0;b.play().catch(e=>{console.warn(`Failed to loop video: ${b.id||"unnamed"}`,e)});return}}ya.delete(b);
+m(a,"Video Ended",b);c&&c.type!=="loop"&&B(a,b)&&Lc(a,b,c)}}function Jb(a,b,c){console.warn(`Autoplay failed for video: ${b.id||"unnamed"}`,c);b.setAttribute("data-autoplay-failed","true");m(a,"Video Autoplay Failed",b);K(a,b,"autoplayFailed",{reason:c&&c.name});(c=u.get(b))&&c.failures++;switch(k(b,"autoplayFailAction")){case "overlay":Nc(a,b);break;case "wait-gesture":fa.add({hypeDocument:a,video:b});break;case "end":k(b,"endOnAutoplayFail")&&(console.log('Triggering "Video Ended" due to autoplay failure.'),
+setTimeout(()=>{R(a,b)},0))}}function Lb(a){a.removeAttribute("data-autoplay-failed");ab(a);a.play().catch(b=>{console.warn(`Failed to play video after user gesture: ${a.id||"unnamed"}`,b)})}function Nc(a,b){if(!ha.has(b)&&b.parentNode){Mb();a=k(b,"autoplayOverlayLabel");var c=document.createElement("div");c.className="HypeVideoAutoplayOverlay";c.setAttribute("role","button");c.setAttribute("tabindex","0");c.setAttribute("aria-label",a);c.innerHTML='<span class="HypeVideoAutoplayOverlay-label"></span>';
+c.firstChild.textContent=a;var d=e=>{e.preventDefault();e.stopPropagation();Lb(b)};c.addEventListener("click",d);c.addEventListener("keydown",e=>{e.key!=="Enter"&&e.key!==" "||d(e)});b.addEventListener("playing",()=>ab(b),{once:!0});b.parentNode.insertBefore(c,b.nextSibling);bb(b,c);ha.set(b,c)}}function ab(a){ha.has(a)&&(ha.get(a).remove(),ha.delete(a))}function Oc(){fa.forEach(a=>{B(a.hypeDocument,a.video)&&Lb(a.video)});fa.clear();ia.forEach(a=>{(a=a.getElementById(a.currentSceneId()))&&a.querySelectorAll("video").forEach(b=>
+{var c=Pa.delete(b);if(cb.delete(b)&&k(b,"unmuteOnGesture")||c)b.muted=!1})});E&&E.state==="suspended"&&E.resume().catch(a=>{console.warn("Failed to resume the audio context:",a)})}function Pc(a){a.getElementById(a.currentSceneId()).querySelectorAll("video").forEach(b=>{var c=u.get(b),d=b.getAttribute("data-video-playlist");!d||c&&!c.fromAttribute?c&&(c.failures=0,$a(b,0)):Hb(b,Jc(d),{loop:b.getAttribute("data-video-playlist-loop")==="true",preload:b.getAttribute("data-video-playlist-preload")!==
+"false",fromAttribute:!0})})}function F(a){a=isFinite(a)&&a>0?Math.floor(a):0;var b=Math.floor(a/3600),c=Math.floor(a%3600/60);a=String(a%60).padStart(2,"0");return b?`${b}:${String(c).padStart(2,"0")}:${a}`:`${c}:${a}`}function db(a){a.paused||a.ended?a.play().catch(b=>{console.warn(`Failed to play video: ${a.id||"unnamed"}`,b)}):a.pause()}function Nb(a,b){var c=isFinite(a.duration)?a.duration:0;a.currentTime=Math.min(Math.max(0,a.currentTime+b),c)}function Mb(){if(G.controlStyles&&!document.getElementById("HypeVideoControllerStyles")){var a=
+document.createElement("style");a.id="HypeVideoControllerStyles";a.textContent=".HypeVideoControls{position:absolute;display:flex;flex-direction:column;justify-content:flex-end;pointer-events:none;}\n.HypeVideoControls-bar{display:flex;align-items:center;gap:8px;padding:6px 10px;background:rgba(0,0,0,.6);color:#fff;font:12px/1 sans-serif;pointer-events:auto;}\n.HypeVideoControls-bar button{background:none;border:0;color:inherit;font:inherit;cursor:pointer;padding:4px;}\n.HypeVideoControls-scrub{flex:1;min-width:0;}\n.HypeVideoControls-time{white-space:nowrap;font-variant-numeric:tabular-nums;}\n.HypeVideoAutoplayOverlay{display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,.4);cursor:pointer;}\n.HypeVideoAutoplayOverlay-label{padding:12px 20px;border-radius:24px;background:rgba(0,0,0,.7);color:#fff;font:16px/1 sans-serif;}";
+document.head.appendChild(a)}}function Ob(a,b){var c=k(b,"seekStep");switch(a.key){case " ":case "k":return db(b),!0;case "m":return b.muted=!b.muted,!0;case "ArrowLeft":return Nb(b,-c),!0;case "ArrowRight":return Nb(b,c),!0}return!1}function bb(a,b){var c=parseInt(window.getComputedStyle(a).zIndex,10);Object.assign(b.style,{position:"absolute",left:`${a.offsetLeft}px`,top:`${a.offsetTop}px`,width:`${a.offsetWidth}px`,height:`${a.offsetHeight}px`,zIndex:isNaN(c)?"":String(c+1)})}function Qc(a){if(eb.has(a))bb(a,
+eb.get(a));else{Mb();a.controls=!1;var b=document.createElement("div");b.className="HypeVideoControls";b.innerHTML='\n                <div class="HypeVideoControls-bar" role="group" aria-label="Video controls">\n                    <button type="button" class="HypeVideoControls-toggle" aria-label="Play">&#9654;</button>\n                    <input type="range" class="HypeVideoControls-scrub" min="0" max="100" step="0.1" value="0" aria-label="Seek">\n                    <span class="HypeVideoControls-time" aria-live="off">0:00 / 0:00</span>\n                    <button type="button" class="HypeVideoControls-mute" aria-label="Mute">&#128266;</button>\n                </div>';
+var c=b.querySelector(".HypeVideoControls-toggle"),d=b.querySelector(".HypeVideoControls-scrub"),e=b.querySelector(".HypeVideoControls-time"),f=b.querySelector(".HypeVideoControls-mute"),g=!1;c.addEventListener("click",()=>db(a));f.addEventListener("click",()=>{a.muted=!a.muted});d.addEventListener("input",()=>{g=!0;isFinite(a.duration)&&(a.currentTime=d.value/100*a.duration)});d.addEventListener("change",()=>{g=!1});b.addEventListener("keydown",h=>{h.target===d&&h.key.startsWith("Arrow")||(h.target.tagName!==
+"BUTTON"||h.key!==" ")&&Ob(h,a)&&h.preventDefault()});Db(a,h=>{var l=!h.paused&&!a.ended;b.classList.toggle("is-playing",l);b.classList.toggle("is-muted",h.muted);c.setAttribute("aria-label",l?"Pause":"Play");c.innerHTML=l?"&#10074;&#10074;":"&#9654;";f.setAttribute("aria-label",h.muted?"Unmute":"Mute");f.innerHTML=h.muted?"&#128263;":"&#128266;";g||(d.value=h.percent);d.setAttribute("aria-valuetext",`${F(h.currentTime)} of ${F(h.duration)}`);e.textContent=`${F(h.currentTime)} / ${F(h.duration)}`});
+a.parentNode.insertBefore(b,a.nextSibling);bb(a,b);eb.set(a,b)}}function Rc(a,b){var c=a.getAttribute("data-video-control"),d=["play","pause","toggle","mute"].includes(c),e={play:"Play",pause:"Pause",toggle:"Play",mute:"Mute",scrub:"Seek"};if(d||c==="scrub")a.hasAttribute("tabindex")||a.setAttribute("tabindex","0"),a.hasAttribute("aria-label")||a.setAttribute("aria-label",e[c]),a.setAttribute("role",d?"button":"slider"),a.style.cursor="pointer";var f={play:()=>b.play().catch(g=>console.warn(`Failed to play video: ${b.id||
+"unnamed"}`,g)),pause:()=>b.pause(),toggle:()=>db(b),mute:()=>{b.muted=!b.muted}};d&&(a.addEventListener("click",f[c]),a.addEventListener("keydown",g=>{if(g.key==="Enter"||g.key===" ")g.preventDefault(),f[c]()}));if(c==="scrub"){let g=h=>{var l=a.getBoundingClientRect();l.width&&isFinite(b.duration)&&(b.currentTime=Math.min(Math.max(0,(h.clientX-l.left)/l.width),1)*b.duration)};a.addEventListener("pointerdown",h=>{a.setPointerCapture&&a.setPointerCapture(h.pointerId);g(h);var l=p=>g(p),q=()=>{a.removeEventListener("pointermove",
+l);a.removeEventListener("pointerup",q);a.removeEventListener("pointercancel",q)};a.addEventListener("pointermove",l);a.addEventListener("pointerup",q);a.addEventListener("pointercancel",q)});a.addEventListener("keydown",h=>{Ob(h,b)&&h.preventDefault()});a.setAttribute("aria-valuemin","0");a.setAttribute("aria-valuemax","100")}Db(b,g=>{var h=!g.paused&&!b.ended;a.classList.toggle("is-playing",h);a.classList.toggle("is-muted",g.muted);c==="toggle"&&(a.setAttribute("aria-label",h?"Pause":"Play"),a.setAttribute("aria-pressed",
+String(h)));c==="mute"&&a.setAttribute("aria-pressed",String(g.muted));if(c==="scrub"){h=`${g.percent}%`;a.style.setProperty("--video-progress",h);a.setAttribute("aria-valuenow",g.percent.toFixed(1));a.setAttribute("aria-valuetext",`${F(g.currentTime)} of ${F(g.duration)}`);let l=a.querySelector("[data-video-control-fill]");l&&(l.style.width=h)}c==="time"&&(a.textContent=`${F(g.currentTime)} / ${F(g.duration)}`)})}function Sc(a){var b=a.getElementById(a.currentSceneId());b.querySelectorAll('video[data-video-controls="custom"]').forEach(c=>
+{Qc(c)});b.querySelectorAll("[data-video-control]").forEach(c=>{if(!Pb.has(c)){var d=a.getVideo(c.getAttribute("data-video-target"));d&&(Rc(c,d),Pb.add(c))}})}function Qb(a){a=a.trim().replace(",",".").split(":").map(parseFloat);return a.length<2||a.some(isNaN)?NaN:a.reduce((b,c)=>b*60+c,0)}function Rb(a){var b=[];a.replace(/\r\n?/g,"\n").split(/\n{2,}/).forEach(c=>{c=c.split("\n").filter(l=>l.trim()!=="");var d=c.findIndex(l=>l.includes("--\x3e"));if(d!==-1){var [e,f]=c[d].split("--\x3e"),g=Qb(e),
+h=Qb(f.trim().split(/\s+/)[0]);isNaN(g)||isNaN(h)||b.push({id:d>0?c[d-1].trim():"",start:g,end:h,text:c.slice(d+1).join("\n")})}});return b}function Tc(a){return a?a.split(",").map(b=>{b=b.trim();var c=b.match(/^([a-z]{2,3}(?:-[A-Za-z0-9]+)?):(.+)$/);return c?{lang:c[1],url:c[2].trim()}:{lang:"",url:b}}).filter(b=>b.url):[]}function fb(a){return Array.from(a.textTracks||[]).filter(b=>b.kind==="subtitles"||b.kind==="captions")}function za(a){gb.has(a)||gb.set(a,{lang:null,target:null});return gb.get(a)}
+function Sb(a,b){var c=za(a);a=fb(a);b===!0&&(b=c.lang||(a[0]?a[0].language:""));c.lang=b===!1||b==="off"?!1:b;var d=null;a.forEach(e=>{c.lang===!1||d||e.language!==c.lang?e.mode="disabled":(d=e,e.mode=c.target?"hidden":"showing")})}function Uc(a,b,c){if(c.mode!=="disabled"){var d=za(b);c=Array.from(c.activeCues||[]).map(f=>f.text).join("\n");var e=d.target?a.getElementById(d.target):null;e&&(e.innerHTML="",c.split("\n").forEach((f,g)=>{g&&e.appendChild(document.createElement("br"));e.appendChild(document.createTextNode(f))}));
+Q(b,{captionText:c});m(a,"Video Caption Changed",b)}}function hb(a,b){fb(b).forEach(c=>{Tb.has(c)||(c.addEventListener("cuechange",()=>Uc(a,b,c)),Tb.add(c))})}function Vc(a,b,c){return fetch(c.url).then(d=>{if(!d.ok)throw Error(`HTTP ${d.status}`);return d.text()}).then(d=>{var e=b.addTextTrack("subtitles",c.lang||"Captions",c.lang);e.mode="hidden";Rb(d).forEach(f=>{e.addCue(new VTTCue(f.start,f.end,f.text))});hb(a,b)}).catch(d=>{console.warn(`Failed to load captions "${c.url}":`,d)})}function Wc(a){a.getElementById(a.currentSceneId()).querySelectorAll("video").forEach(b=>
+{var c=za(b);c.target=b.getAttribute("data-video-captions-target")||c.target;hb(a,b);var d=b.getAttribute("data-video-captions");if(d&&!c.loaded&&window.VTTCue&&(c.loaded=!0,d=Tc(d),d.length)){var e=b.getAttribute("data-video-captions-lang");c.lang===null&&(c.lang=e==="off"?!1:e||d[0].lang);Promise.all(d.map(f=>Vc(a,b,f))).then(()=>{Sb(b,c.lang)})}})}function Xc(a){return a.filter(b=>b&&!isNaN(parseFloat(b.start))).map(b=>({...b,start:parseFloat(b.start)})).sort((b,c)=>b.start-c.start).map((b,c,d)=>
+({id:String(b.id||b.title||c+1),title:b.title||String(b.id||c+1),start:b.start,end:b.end!==void 0?parseFloat(b.end):d[c+1]?d[c+1].start:Infinity}))}function Aa(a,b){x.set(a,{chapters:Xc(b||[]),current:-1})}function Ub(a,b){return(a=x.get(a))?a.chapters.findIndex(c=>b>=c.start&&b<c.end):-1}function Yc(a,b){return(a=x.get(a))?typeof b==="number"?a.chapters[b]?b:-1:a.chapters.findIndex(c=>c.id===String(b)):-1}function Vb(a,b){var c=x.get(b);if(c){var d=Ub(b,b.currentTime);d!==c.current&&(c.current=d,
+Q(b,{chapter:d===-1?null:c.chapters[d].id}),d!==-1&&(m(a,"Video Chapter Entered",b),m(a,`Video Chapter Entered ${c.chapters[d].id}`,b)))}}function Zc(a){a.getElementById(a.currentSceneId()).querySelectorAll("video[data-video-chapters]").forEach(b=>{if(x.has(b))x.get(b).current=-1;else{var c=b.getAttribute("data-video-chapters").trim();if(c.startsWith("["))try{Aa(b,JSON.parse(c))}catch(d){console.warn("Invalid JSON in data-video-chapters:",d)}else Aa(b,[]),fetch(c).then(d=>{if(!d.ok)throw Error(`HTTP ${d.status}`);
+return d.text()}).then(d=>{Aa(b,Rb(d).map(e=>({id:e.id,title:e.text,start:e.start,end:e.end})));Vb(a,b)}).catch(d=>{console.warn(`Failed to load chapters "${c}":`,d)})}})}function $c(a){var b=a&&a.segments,c=d=>{console.warn(`Invalid branching graph: ${d}`);return!1};if(!b||typeof b!=="object")return c('"segments" is missing.');if(!b[a.start])return c(`start segment "${a.start}" not found.`);for(let d of Object.keys(b)){a=b[d];if(a.next&&!b[a.next])return c(`next segment "${a.next}" of "${d}" not found.`);
+let e=a.decision;if(e){if(!Array.isArray(e.choices)||!e.choices.length)return c(`decision of "${d}" has no choices.`);for(let f of e.choices)if(!f.id||!b[f.segment])return c(`choice "${f.id}" of "${d}" needs an id and an existing segment.`);if(e.default&&!e.choices.some(f=>f.id===e.default))return c(`default choice "${e.default}" of "${d}" not found.`)}}return!0}function Ba(a,b){return b.video?(a=a.host.closest(".HYPE_scene"))?a.querySelector(`video[data-video-name="${b.video}"]`):null:a.host}function ad(a,
+b,c){return c.element?a.getElementById(c.element):(a=b.host.closest(".HYPE_scene"))?a.querySelector(`[data-video-choice="${c.id}"]`):null}function Ca(a,b,c,d){c.decision&&c.decision.choices.forEach(e=>{var f=ad(a,b,e);f&&(f.style.display=d?"":"none",f.setAttribute("aria-hidden",d?"false":"true"),Wb.has(f)||(Wb.add(f),f.style.cursor="pointer",f.addEventListener("click",()=>{var g=Xb.get(f);g&&Da(g.hypeDocument,g.branching,g.choiceId)})),Xb.set(f,d?{hypeDocument:a,branching:b,choiceId:e.id}:null))})}
+function Ea(a,b,c,d){var e=b.graph.segments[c],f=Ba(b,e);if(f){var g=b.video;b.segment&&Ca(a,b,b.graph.segments[b.segment],!1);b.segment=c;b.video=f;b.decision="pending";b.path.push(d?{segment:c,choice:d}:{segment:c});z.set(f,b);d=g&&!g.paused;g&&g!==f&&(z.delete(g),S.add(g),S.delete(f),g.pause(),g.style.visibility="hidden",f.style.visibility="");e=e.start||0;Math.abs(f.currentTime-e)>.05&&(f.currentTime=e);d&&f.paused&&f.play().catch(h=>{console.warn(`Failed to play branch video: ${f.id||"unnamed"}`,
+h)});C(a,b.host,{branchSegment:c})}else console.warn(`Video "${e.video}" of segment "${c}" not found.`)}function Da(a,b,c){var d=b.graph.segments[b.segment],e=d.decision&&d.decision.choices.find(f=>f.id===c);if(!e||b.decision==="closed")return!1;d=!b.video.paused||b.waiting;b.decision="closed";b.waiting=!1;m(a,"Video Branch Chosen",b.host);m(a,`Video Branch Chosen ${e.id}`,b.host);Ea(a,b,e.segment,e.id);d&&b.video.paused&&b.video.play().catch(f=>{console.warn(`Failed to continue after branch "${e.id}"`,
+f)});return!0}function Yb(a,b){var c=z.get(b);if(c&&c.video===b&&!b.seeking){var d=c.graph.segments[c.segment],e=b.currentTime,f=d.end===void 0?Infinity:d.end,g=d.decision;g?(f=g.until===void 0?f:g.until,c.decision==="pending"&&e>=(g.from||0)&&e<f&&(c.decision="open",Ca(a,c,d,!0),m(a,"Video Decision Shown",c.host)),c.decision!=="closed"&&e>=f&&(g.default?Da(a,c,g.default):c.waiting||(c.waiting=!0,b.pause()))):e>=f&&(d.next?Ea(a,c,d.next):b.paused||(b.pause(),R(a,c.host)))}}function bd(a,b){var c=
+z.get(b);if(b.requestVideoFrameCallback&&c&&c.watching!==b&&!b.paused){c.watching=b;var d=()=>{z.get(b)!==c||c.video!==b||b.paused?c.watching===b&&(c.watching=null):(Yb(a,b),b.requestVideoFrameCallback(d))};b.requestVideoFrameCallback(d)}}function cd(a,b){var c=z.get(b);if(!c||c.video!==b)return!1;var d=c.graph.segments[c.segment],e=d.decision;return e&&c.decision!=="closed"?(c.waiting=!0,e.default&&Da(a,c,e.default),!0):d.next?(Ea(a,c,d.next),c.video.play().catch(f=>{console.warn(`Failed to continue with segment "${d.next}"`,
+f)}),!0):b!==c.host?(R(a,c.host),!0):!1}function Fa(a,b,c){if(!$c(c))return!1;dd(a,b);var d={graph:c,host:b,video:null,segment:null,decision:"pending",waiting:!1,watching:null,path:[]};T.set(b,d);var e=Ba(d,c.segments[c.start]);Object.keys(c.segments).forEach(f=>{Ca(a,d,c.segments[f],!1);(f=Ba(d,c.segments[f]))&&f!==e&&(S.add(f),f.style.visibility="hidden",f.paused||f.pause(),f.currentTime=0)});e&&(S.delete(e),e.style.visibility="");Ea(a,d,c.start);return!0}function dd(a,b){var c=T.get(b);c&&(Object.keys(c.graph.segments).forEach(d=>
+{Ca(a,c,c.graph.segments[d],!1);(d=Ba(c,c.graph.segments[d]))&&S.delete(d)}),c.video&&z.delete(c.video),T.delete(b))}function ed(a){a.getElementById(a.currentSceneId()).querySelectorAll("video[data-video-branches]").forEach(b=>{var c=T.get(b);if(c)Fa(a,b,c.graph);else{var d=b.getAttribute("data-video-branches").trim();if(d.startsWith("{"))try{Fa(a,b,JSON.parse(d))}catch(e){console.warn("Invalid JSON in data-video-branches:",e)}else fetch(d).then(e=>{if(!e.ok)throw Error(`HTTP ${e.status}`);return e.json()}).then(e=>
+{B(a,b)&&Fa(a,b,e)}).catch(e=>{console.warn(`Failed to load branches "${d}":`,e)})}})}function da(a){var b=a.getAttribute("data-video-sync-group");a=a.closest(".HYPE_scene");return b&&a?Ga(a,b):null}function Ga(a,b){a=Array.from(a.querySelectorAll("video[data-video-sync-group]")).filter(d=>d.getAttribute("data-video-sync-group")===b);if(!a.length)return null;var c=a.find(d=>d.getAttribute("data-video-sync-master")==="true")||a[0];return{name:b,master:c,members:a}}function fd(a){var b=a.master;if(!b.paused&&
+!a.members.some(e=>t.has(e))){var c=k(b,"syncTolerance")/1E3,d=k(b,"syncSeekThreshold")/1E3;a.members.forEach(e=>{if(e!==b&&!e.ended)if(e.paused)e.play().catch(()=>{});else{var f=e.currentTime-b.currentTime;Math.abs(f)>d?(e.currentTime=b.currentTime,e.playbackRate=b.playbackRate):Math.abs(f)>c?e.playbackRate=b.playbackRate*(f>0?.95:1.05):e.playbackRate!==b.playbackRate&&(e.playbackRate=b.playbackRate)}})}}function gd(a){ib(a);Ha.set(a,setInterval(()=>{var b=da(a);b&&b.master===a&&fd(b)},250))}function ib(a){Ha.has(a)&&
+(clearInterval(Ha.get(a)),Ha.delete(a))}function hd(a){var b=da(a);b&&b.members.forEach(c=>{c===a||c.paused||(t.add(c),c.pause())})}function id(a){var b=da(a);b&&b.members.forEach(c=>{c!==a&&t.has(c)&&(c.currentTime=b.master===a?a.currentTime:b.master.currentTime,c.play().catch(()=>t.delete(c)))})}function jd(a){a.getElementById(a.currentSceneId()).querySelectorAll("video[data-video-sync-group]").forEach(b=>{if(!Zb.has(b)){Zb.add(b);var c=()=>{var d=da(b);return d&&d.master===b?d:null};b.addEventListener("play",
+()=>{var d=c();d&&!t.has(b)&&d.members.forEach(e=>{e!==b&&e.paused&&!e.ended&&(e.currentTime=b.currentTime,e.play().catch(()=>{}))})});b.addEventListener("playing",()=>{c()&&gd(b);id(b)});b.addEventListener("pause",()=>{var d=c();d&&(ib(b),t.has(b)||d.members.forEach(e=>{e===b||t.has(e)||e.pause()}))});b.addEventListener("seeked",()=>{var d=c();d&&d.members.forEach(e=>{e!==b&&Math.abs(e.currentTime-b.currentTime)>.001&&(e.currentTime=b.currentTime)})});b.addEventListener("waiting",()=>{hd(b)})}})}
+function kd(a,b,c){var d=H.get(b);if(d&&d.inViewport!==c){var e=d.inViewport===null;d.inViewport=c;var f=k(b,"viewport");c?(e||m(a,"Video Entered Viewport",b),a=b.paused&&!b.ended&&b.currentTime===0,f==="play"&&(d.pausedByViewport||!e&&a)&&b.play().catch(g=>{console.warn(`Failed to play video entering the viewport: ${b.id||"unnamed"}`,g)}),d.pausedByViewport=!1):(e||m(a,"Video Left Viewport",b),b.paused||(d.pausedByViewport=!0,b.pause()))}}function ld(a){window.IntersectionObserver&&a.getElementById(a.currentSceneId()).querySelectorAll("video").forEach(b=>
+{var c=k(b,"viewport");if(c==="play"||c==="pause"){$b(b);var d=Math.min(Math.max(0,k(b,"viewportThreshold")),1);H.set(b,{inViewport:null,pausedByViewport:!1});c=new IntersectionObserver(e=>{e.forEach(f=>{f=f.isIntersecting&&f.intersectionRatio>=d;!f&&b.paused&&H.get(b).inViewport===null&&b.addEventListener("playing",()=>{H.has(b)&&!H.get(b).inViewport&&(H.get(b).pausedByViewport=!0,b.pause())},{once:!0});kd(a,b,f)})},{threshold:d===0?[0]:[0,d]});c.observe(b);Ia.set(b,c)}})}function $b(a){Ia.has(a)&&
+(Ia.get(a).disconnect(),Ia.delete(a));H.delete(a)}function ac(a){var b=Ja.findIndex(c=>a&&(c===a||c.send===a||c.name===a));b!==-1&&Ja.splice(b,1)}function bc(a){var b=U.get(a);b&&b.length&&(U.delete(a),b=JSON.stringify(b),navigator.sendBeacon&&navigator.sendBeacon(a,new Blob([b],{type:"application/json"}))||window.fetch&&fetch(a,{method:"POST",body:b,keepalive:!0,headers:{"Content-Type":"application/json"}}).catch(c=>{console.warn(`Failed to send engagement data to ${a}`,c)}))}function jb(){Array.from(U.keys()).forEach(bc)}
+function kb(a,b){if(!k(b,"tracking"))return null;V.has(b)||V.set(b,{hypeDocument:a,ranges:[],heatmap:Array(k(b,"trackingHeatmapBuckets")).fill(0),watchTime:0,lastTime:b.currentTime,plays:0,pauses:0,seeks:0,stalls:0,autoplayFailures:0,completions:0});return V.get(b)}function md(a,b,c,d){a.watchTime+=c-b;var e=a.ranges;e.push([b,c]);e.sort((f,g)=>f[0]-g[0]);a.ranges=e.reduce((f,g)=>{var h=f[f.length-1];h&&g[0]<=h[1]?h[1]=Math.max(h[1],g[1]):f.push(g);return f},[]);if(isFinite(d)&&!(d<=0)){e=a.heatmap.length;
+d/=e;for(let f=Math.floor(b/d);f<e&&f*d<c;f++){let g=Math.min(c,(f+1)*d)-Math.max(b,f*d);g>0&&(a.heatmap[f]+=g)}}}function cc(a){var b=V.get(a);if(!b)return null;var c=isFinite(a.duration)?a.duration:0,d=b.ranges.reduce((e,f)=>e+f[1]-f[0],0);return{name:a.getAttribute("data-video-name")||a.id||null,duration:c,watchTime:Math.round(b.watchTime*100)/100,watchedPercent:c?Math.min(100,Math.round(d/c*100)):0,ranges:b.ranges.map(e=>[Math.round(e[0]*100)/100,Math.round(e[1]*100)/100]),heatmap:b.heatmap.map(e=>
+Math.round(e*100)/100),plays:b.plays,pauses:b.pauses,seeks:b.seeks,stalls:b.stalls,autoplayFailures:b.autoplayFailures,completions:b.completions,completed:b.completions>0}}function K(a,b,c,d){var e=kb(a,b);if(e){switch(c){case "play":e.plays++;break;case "pause":e.pauses++;break;case "seek":e.seeks++;break;case "stall":e.stalls++;break;case "autoplayFailed":e.autoplayFailures++;break;case "complete":e.completions++}var f={type:c,document:a.documentName(),scene:lb.get(b.closest(".HYPE_scene"))||null,
+video:b.getAttribute("data-video-name")||b.id||null,time:Math.round(b.currentTime*100)/100,timestamp:Date.now(),...d};Ja.forEach(g=>{try{g.send(f,a)}catch(h){console.warn(`Tracking sink ${g.name||"unnamed"} failed`,h)}});k(b,"trackingPostMessage")&&window.parent&&mb(a).forEach(g=>{try{window.parent.postMessage({type:"HypeVideoController:engagement",record:f},g)}catch(h){console.warn("Failed to post engagement record:",h)}});if(c=k(b,"trackingEndpoint"))U.has(c)||U.set(c,[]),d=U.get(c),d.push(f),d.length>=
+k(b,"trackingBatchSize")&&bc(c)}}function nb(a,b){if(a=kb(a,b)){var c=a.lastTime,d=b.currentTime;a.lastTime=d;var e=d-c;!b.paused&&!b.seeking&&e>0&&e<=1.5*(b.playbackRate||1)&&md(a,c,d,b.duration)}}function nd(a,b){b.addEventListener("playing",()=>{t.has(b)||K(a,b,"play")});b.addEventListener("pause",()=>{nb(a,b);b.ended||t.has(b)||K(a,b,"pause")});b.addEventListener("timeupdate",()=>{nb(a,b)});b.addEventListener("seeking",()=>{var c=kb(a,b);if(c){var d=c.lastTime;c.lastTime=b.currentTime;Math.abs(b.currentTime-
+d)>.5&&K(a,b,"seek",{from:Math.round(d*100)/100})}});b.addEventListener("emptied",()=>{var c=V.get(b);c&&(c.lastTime=0)});b.addEventListener("ended",()=>{nb(a,b);K(a,b,"complete")})}function mb(a){a=O(a,"messageOrigins").split(",").map(b=>b.trim()).filter(Boolean);return a.length?a:[window.location.origin]}function ob(a,b,c,d){var e={source:"HypeVideoController",document:a.documentId(),documentName:a.documentName(),...c};(d?[d]:mb(a)).forEach(f=>{try{b.postMessage(e,f)}catch(g){console.warn("Failed to post video bridge message:",
+g)}})}function Bc(a,b,c){if(O(a,"messageBridge")){var d={type:"event",event:b,video:c.getAttribute("data-video-name")||c.id||null,state:{...Q(c)}};b=Ka.get(a)||new Map;window.parent===window||b.has(window.parent)||ob(a,window.parent,d);b.forEach((e,f)=>{ob(a,f,d,e)})}}function od(a,b){var c=b.video,d=()=>a.getVideoState(c);switch(b.command){case "play":return a.playVideo(c).then(d);case "pause":return a.pauseVideo(c).then(d);case "stop":return a.stopVideo(c).then(d);case "seek":return a.seekVideoTo(c,
+Number(b.value)).then(d);case "mute":d=a.getVideo(c);if(!d)return n(c);d.muted=b.value===void 0?!d.muted:!!b.value;return Promise.resolve(a.getVideoState(c));case "volume":return a.setVideoVolume(c,Number(b.value)).then(d);case "getState":return(b=a.getVideoState(c))?Promise.resolve(b):n(c);default:return Promise.reject(new r("INVALID_ARGUMENT",`Unknown command "${b.command}".`))}}function dc(a){Object.keys(a).forEach(b=>{try{navigator.mediaSession.setActionHandler(b,a[b])}catch(c){}})}function ec(){var a=
+A.video;if(a&&navigator.mediaSession.setPositionState&&isFinite(a.duration)&&a.duration)try{navigator.mediaSession.setPositionState({duration:a.duration,playbackRate:a.playbackRate||1,position:Math.min(a.currentTime,a.duration)})}catch(b){console.warn("Failed to update the media session position:",b)}}function fc(a,b){if("mediaSession"in navigator&&k(b,"mediaSession")){if(A.video!==b){A.video=b;A.hypeDocument=a;if(window.MediaMetadata){var c=b.getAttribute("data-video-artwork")||b.getAttribute("poster");
+navigator.mediaSession.metadata=new MediaMetadata({title:b.getAttribute("data-video-title")||b.getAttribute("data-video-name")||document.title,artist:b.getAttribute("data-video-artist")||"",album:b.getAttribute("data-video-album")||a.documentName(),artwork:c?[{src:(new URL(c,document.baseURI)).href}]:[]})}let d=g=>console.warn("Media session action failed:",g),e=g=>{a.seekVideoTo(b,Math.min(Math.max(b.currentTime+g,0),b.duration||0)).catch(d)};c=u.has(b);let f=x.has(b);dc({play:()=>a.playVideo(b).catch(d),
+pause:()=>a.pauseVideo(b).catch(d),stop:()=>a.stopVideo(b).catch(d),seekbackward:g=>e(-(g.seekOffset||k(b,"seekStep"))),seekforward:g=>e(g.seekOffset||k(b,"seekStep")),seekto:g=>a.seekVideoTo(b,g.seekTime).catch(d),nexttrack:c?()=>a.nextVideoPlaylistItem(b):f?()=>a.nextVideoChapter(b).catch(d):null,previoustrack:c?()=>a.previousVideoPlaylistItem(b):f?()=>a.previousVideoChapter(b).catch(d):null})}navigator.mediaSession.playbackState=b.paused?"paused":"playing";ec()}}function pd(a,b){"mediaSession"in
+navigator&&(b.addEventListener("playing",()=>{B(a,b)&&fc(a,b)}),b.addEventListener("pause",()=>{A.video===b&&(navigator.mediaSession.playbackState="paused")}),["timeupdate","durationchange","ratechange","seeked"].forEach(c=>{b.addEventListener(c,()=>{A.video===b&&ec()})}))}function qd(a){if("mediaSession"in navigator){var b=a.getElementById(a.currentSceneId());b=Array.from(b.querySelectorAll("video")).filter(c=>k(c,"mediaSession"));(b=b.find(c=>k(c,"autoPlay"))||b[0])&&fc(a,b)}}function rd(a){if(a.requestVideoFrameCallback&&
+!ja.has(a)){ja.set(a,null);var b=[],c=null,d=null,e=(f,g)=>{c!==null&&g.presentedFrames===d+1&&(f=g.mediaTime-c,f>0&&b.push(f));c=g.mediaTime;d=g.presentedFrames;b.length<10?a.paused?ja.delete(a):a.requestVideoFrameCallback(e):(b.sort((h,l)=>h-l),ja.set(a,Math.round(100/b[Math.floor(b.length/2)])/100))};a.requestVideoFrameCallback(e)}}function hc(a){return k(a,"frameRate")||ja.get(a)||30}function sd(a,b){if(!Number.isInteger(b))return Promise.reject(new r("INVALID_ARGUMENT",`Invalid frame count ${b}, it must be a whole number.`));
+var c=hc(a),d=isFinite(a.duration)?a.duration:0,e=Math.min((Math.max(0,Math.floor(a.currentTime*c+.001)+b)+.5)/c,Math.max(d-.5/c,0));return ta(a).then(()=>{var f=a.requestVideoFrameCallback?new Promise(g=>{var h=setTimeout(g,250);a.requestVideoFrameCallback(()=>{clearTimeout(h);g()})}):null;return P(a,e).then(g=>f?f.then(()=>a.currentTime):g)})}function ic(a,b){var c=y.get(b);!c||b.paused||b.seeking||b.currentTime<c.end||(c.completed++,C(a,b,{loopCount:c.completed}),c.completed>=c.count?y.delete(b):
+b.currentTime=c.start,m(a,"Video Loop Completed",b))}function jc(a,b,c){if(b.requestVideoFrameCallback&&!c.watching&&!b.paused){c.watching=!0;var d=()=>{y.get(b)!==c||b.paused?c.watching=!1:(ic(a,b),y.get(b)===c?b.requestVideoFrameCallback(d):c.watching=!1)};b.requestVideoFrameCallback(d)}}function kc(a){if(pb.has(a))return pb.get(a);if(!k(a,"webAudio"))return null;var b=window.AudioContext||window.webkitAudioContext;if(!b)return null;var c=null;try{E||(E=new b),c=E.createGain(),c.gain.value=a.volume,
+E.createMediaElementSource(a).connect(c),c.connect(E.destination)}catch(d){console.warn(`Failed to route video through Web Audio: ${a.id||"unnamed"}`,d),c=null}pb.set(a,c);return c}function qb(a){var b=kc(a);return b?b.gain.value:a.volume}function ka(a,b){var c=kc(a);c?c.gain.value=b:a.volume=b}function M(a){N.has(a)||N.set(a,qb(a));var b=la.get(a);b=b&&b.size?Math.min(...b.values()):1;return N.get(a)*b}function ma(a,b,c,d){La(a);var e=qb(a),f=rb[d]||rb["ease-in-out"],g=Date.now();return new Promise(h=>
+{var l={timer:null,resolve:h},q=()=>{var p=c>0?Math.min((Date.now()-g)/c,1):1;ka(a,e+(b-e)*f(p));p<1?l.timer=setTimeout(q,20):(Ma.delete(a),h(b))};Ma.set(a,l);q()})}function La(a){var b=Ma.get(a);b&&(clearTimeout(b.timer),Ma.delete(a),b.resolve(qb(a)))}function lc(a,b){var c=k(a,"duck").split(",").map(e=>e.trim()).filter(Boolean),d=a.closest(".HYPE_scene");c.length&&d&&c.forEach(e=>{if((e=d.querySelector(`video[data-video-name="${e}"]`))&&e!==a){la.has(e)||la.set(e,new Map);var f=la.get(e);if(b)f.set(a,
+k(a,"duckLevel"));else if(!f.delete(a))return;ma(e,M(e),k(a,"duckFade"))}})}function td(a,b){var c=k(a,"fadeOut"),d=e=>{a.pause();e&&(a.currentTime=0);la.delete(a);N.has(a)&&ka(a,N.get(a))};if(c>0&&!a.paused){let e={reset:b};M(a);I.set(a,e);ma(a,0,c,"ease-in").then(()=>{I.get(a)===e&&(I.delete(a),d(e.reset))})}else I.delete(a),La(a),d(b)}function mc(a){if(!I.delete(a))return!1;var b=k(a,"fadeIn");b?ma(a,M(a),b,"ease-out"):(La(a),ka(a,M(a)));return!0}function ud(a){a.addEventListener("play",()=>{if(!mc(a)){var b=
+k(a,"fadeIn");b&&(ka(a,0),ma(a,M(a),b,"ease-out"))}});a.addEventListener("playing",()=>{lc(a,!0)});["pause","ended","emptied"].forEach(b=>{a.addEventListener(b,()=>{lc(a,!1)})})}function vd(a){a.getElementById(a.currentSceneId()).querySelectorAll("video").forEach(b=>{nc.has(b)||(b.addEventListener("ended",()=>{J(b);xa(b);wa(a,b);oa(a,b);cd(a,b)||R(a,b)}),b.addEventListener("playing",()=>{J(b);Ic(a,b);var c=t.delete(b);b.paused||b.ended||b.hasAttribute("data-autoplay-failed")||c||m(a,"Video Started",
+b);b.removeAttribute("data-autoplay-failed");if(c=u.get(b))c.failures=0}),b.addEventListener("pause",()=>{J(b);xa(b);wa(a,b);t.has(b)||m(a,"Video Paused",b)}),b.addEventListener("waiting",()=>{Eb(b,a)}),["stalled","abort"].forEach(c=>{b.addEventListener(c,()=>{b.paused||v.has(b)||Eb(b,a)})}),b.addEventListener("error",c=>{c.target!==b&&c.target.nextElementSibling&&c.target.nextElementSibling.matches("source")||B(a,b)&&(console.warn(`Video error for video: ${b.id||"unnamed"}`,b.error),v.has(b)||k(b,
+"recoveryRetries")>0?qa(a,b,"error"):Ra(a,b))},!0),b.addEventListener("timeupdate",()=>{var c=v.get(b);!c||b.paused||b.seeking||(c.progressFrom===null?c.progressFrom=b.currentTime:b.currentTime>c.progressFrom&&(Xa(b),C(a,b,{recoveryAttempt:0}),m(a,"Video Recovered",b)));ic(a,b);Yb(a,b);Gc(a,b);Cc(a,b);Vb(a,b);c=Date.now();c-(oc.get(b)||0)>=1E3&&B(a,b)&&(oc.set(b,c),oa(a,b))}),b.addEventListener("seeking",()=>{Ya(b);Wa(b)}),b.addEventListener("seeked",()=>{Ya(b);Wa(b);wa(a,b)}),b.addEventListener("emptied",
+()=>{Ya(b);Wa(b)}),nd(a,b),pd(a,b),ud(b),b.addEventListener("playing",()=>{k(b,"frameRate")||rd(b);y.has(b)&&jc(a,b,y.get(b));z.has(b)&&bd(a,b)}),"timeupdate durationchange progress play pause ended volumechange ratechange seeked emptied".split(" ").forEach(c=>{b.addEventListener(c,()=>{C(a,b)})}),nc.add(b))})}function pc(a,b){var c=(vb[b]||{}).alias||b.toLowerCase(),d=b.toLowerCase();c=a.getAttribute(`data-video-${c}`);c===null&&(c=a.getAttribute(`data-video-${d}`));return c===null?void 0:ub(b,c)}
+function O(a,b){return(a=W.get(a))&&b in a.defaults?a.defaults[b]:G[b]}function qc(a,b){var c=pc(a,b);if(c!==void 0)return{value:c,source:"video"};var d=a.closest(".HYPE_scene");if(d&&(c=pc(d,b),c!==void 0))return{value:c,source:"scene"};a:if(sb.has(a))a=sb.get(a);else{for(let e of ia)if((c=document.getElementById(e.documentId()))&&c.contains(a)){sb.set(a,e);a=e;break a}a=null}if(a=a?W.get(a):null){if((d=d?a.scenes[lb.get(d)]:null)&&b in d)return{value:d[b],source:"scene"};if(b in a.defaults)return{value:a.defaults[b],
+source:"document"}}return{value:G[b],source:"global"}}function k(a,b){return qc(a,b).value}function rc(a){var b={};Object.keys(G).forEach(c=>{b[c]=qc(a,c)});return b}function wd(a){a.getElementById(a.currentSceneId()).querySelectorAll("video").forEach(b=>{mc(b);!k(b,"autoMute")||k(b,"unmuteOnGesture")&&navigator.userActivation&&navigator.userActivation.hasBeenActive||(b.muted=!0,cb.add(b));k(b,"autoPlaysInline")&&(b.playsInline=!0);requestAnimationFrame(()=>{var c=z.has(b),d=!c&&tc(a,b);k(b,"autoPlay")&&
+!S.has(b)&&(b.removeAttribute("autoplay"),b.autoplay=!1,d||c||(b.currentTime=0),c=b.play(),c!==void 0&&c.catch(e=>{Jb(a,b,e)}))})})}function xd(a,b){var c=a.getElementById(a.currentSceneId());c&&(c.querySelectorAll("video").forEach(d=>{xc(d);oa(a,d);V.has(d)&&K(a,d,"summary",{summary:cc(d)});td(d,b);d.removeAttribute("data-autoplay-failed");J(d);Xa(d);ya.delete(d);y.delete(d);L.delete(d);xa(d);ib(d);t.delete(d);tb.delete(d);cb.delete(d);Pa.delete(d);ab(d);fa.forEach(e=>{e.video===d&&fa.delete(e)});
+$b(d);Za(d);w.has(d)&&w.get(d).teardown&&ra(d)}),jb())}var nc=new WeakSet,Ac=new WeakMap,va=new WeakMap,L=new WeakMap,ea=new WeakMap,u=new WeakMap,Va=new WeakMap,ua=new WeakMap,ca=new WeakMap,eb=new WeakMap,Pb=new WeakSet,gb=new WeakMap,Tb=new WeakSet,x=new WeakMap,X=new Map,oc=new WeakMap,Ha=new WeakMap,t=new WeakSet,Zb=new WeakSet,pa=[],w=new WeakMap,ia=new Set,Ia=new WeakMap,H=new WeakMap,tb=new WeakSet,ha=new WeakMap,fa=new Set,cb=new WeakSet,Pa=new WeakSet,W=new WeakMap,sb=new WeakMap,lb=new WeakMap,
+na=new Set,aa=new WeakMap,V=new WeakMap,Ja=[],U=new Map,v=new WeakMap,Ka=new WeakMap,ya=new WeakMap,A={video:null,hypeDocument:null},ja=new WeakMap,y=new WeakMap,pb=new WeakMap,Ma=new WeakMap,N=new WeakMap,la=new WeakMap,I=new WeakMap,Y=new WeakSet,sa=new WeakMap,Ta=new WeakMap,Ua=new Map,T=new WeakMap,z=new WeakMap,Wb=new WeakSet,Xb=new WeakMap,S=new WeakSet,E=null,G={autoPlay:!0,autoMute:!0,autoPlaysInline:!0,autoObserver:!0,endOnStall:!0,stallTimeout:2E3,endOnAutoplayFail:!0,autoplayFailAction:"end",
+autoplayOverlayLabel:"Tap to play",unmuteOnGesture:!1,progressInterval:0,quartileEvents:!0,controlStyles:!0,seekStep:5,resume:!1,resumeStorage:!1,syncTolerance:40,syncSeekThreshold:500,viewport:"none",viewportThreshold:.5,pauseOnHidden:!1,recoveryRetries:0,recoveryDelay:1E3,fallbackSrc:"",tracking:!1,trackingPostMessage:!1,trackingEndpoint:"",trackingBatchSize:10,trackingHeatmapBuckets:20,messageBridge:!1,messageOrigins:"",onEnded:"none",onEndedTransition:"instant",onEndedDuration:1.1,mediaSession:!1,
+frameRate:0,fadeIn:0,fadeOut:0,duck:"",duckLevel:.3,duckFade:300,webAudio:!1,preload:"on-display",releaseDistance:0,posterTime:0},vb={autoPlay:{type:"boolean",alias:"auto-play"},autoMute:{type:"boolean",alias:"auto-mute"},autoPlaysInline:{type:"boolean",alias:"plays-inline"},autoObserver:{type:"boolean"},endOnStall:{type:"boolean",alias:"end-on-stall"},stallTimeout:{type:"integer",min:0,alias:"stall-timeout"},endOnAutoplayFail:{type:"boolean",alias:"end-on-autoplay-fail"},autoplayFailAction:{type:"enum",
+values:["end","overlay","wait-gesture","none"],alias:"autoplay-fail-action"},autoplayOverlayLabel:{type:"string",alias:"autoplay-overlay-label"},unmuteOnGesture:{type:"boolean",alias:"unmute-on-gesture"},progressInterval:{type:"integer",min:0,alias:"progress-interval"},quartileEvents:{type:"boolean",alias:"quartile-events"},controlStyles:{type:"boolean"},seekStep:{type:"number",min:0,alias:"seek-step"},resume:{type:"boolean"},resumeStorage:{type:"boolean",alias:"resume-storage"},syncTolerance:{type:"integer",
+min:0,alias:"sync-tolerance"},syncSeekThreshold:{type:"integer",min:0,alias:"sync-seek-threshold"},viewport:{type:"enum",values:["play","pause","none"]},viewportThreshold:{type:"number",min:0,max:1,alias:"viewport-threshold"},pauseOnHidden:{type:"boolean",alias:"pause-on-hidden"},recoveryRetries:{type:"integer",min:0,alias:"recovery-retries"},recoveryDelay:{type:"integer",min:0,alias:"recovery-delay"},fallbackSrc:{type:"string",alias:"fallback-src"},tracking:{type:"boolean"},trackingPostMessage:{type:"boolean",
+alias:"tracking-post-message"},trackingEndpoint:{type:"string",alias:"tracking-endpoint"},trackingBatchSize:{type:"integer",min:1,alias:"tracking-batch-size"},trackingHeatmapBuckets:{type:"integer",min:1,alias:"tracking-heatmap-buckets"},messageBridge:{type:"boolean"},messageOrigins:{type:"string"},onEnded:{type:"string",alias:"on-ended"},onEndedTransition:{type:"enum",values:"instant crossfade swap push-left push-right push-up push-down".split(" "),alias:"on-ended-transition"},onEndedDuration:{type:"number",
+min:0,alias:"on-ended-duration"},mediaSession:{type:"boolean",alias:"media-session"},frameRate:{type:"number",min:0,alias:"frame-rate"},fadeIn:{type:"integer",min:0,alias:"fade-in"},fadeOut:{type:"integer",min:0,alias:"fade-out"},duck:{type:"string"},duckLevel:{type:"number",min:0,max:1,alias:"duck-level"},duckFade:{type:"integer",min:0,alias:"duck-fade"},webAudio:{type:"boolean",alias:"web-audio"},preload:{type:"enum",values:["next-scene","on-display","none"]},releaseDistance:{type:"integer",min:0,
+alias:"release-distance"},posterTime:{type:"number",min:0,alias:"poster-time"}},rb={linear:a=>a,"ease-in":a=>a*a,"ease-out":a=>a*(2-a),"ease-in-out":a=>a<.5?2*a*a:-1+(4-2*a)*a},Mc={instant:"kSceneTransitionInstant",crossfade:"kSceneTransitionCrossfade",swap:"kSceneTransitionSwap","push-left":"kSceneTransitionPushRightToLeft","push-right":"kSceneTransitionPushLeftToRight","push-up":"kSceneTransitionPushBottomToTop","push-down":"kSceneTransitionPushTopToBottom"};class r extends Error{constructor(a,
+b,c){super(b);this.name="VideoControllerError";this.code=a;this.cause=c}}"HYPE_eventListeners"in window===!1&&(window.HYPE_eventListeners=[]);window.HYPE_eventListeners.push({type:"HypeDocumentLoad",callback:function(a,b,c){ia.add(a);W.set(a,{defaults:{},scenes:{}});zc(a);a.setVideoDefault=function(d,e){Na(W.get(this).defaults,d,e)};a.getVideoDefault=function(d){return d?O(this,d):{...G,...W.get(this).defaults}};a.setVideoSceneDefault=function(d,e,f){var g=W.get(this).scenes;g[d]||(g[d]={});Na(g[d],
+e,f)};a.getEffectiveVideoSettings=function(d){return(d=this.getVideo(d))?rc(d):null};a.getVideo=function(d){if(d instanceof HTMLVideoElement)return d;var e=this.getElementById(this.currentSceneId());return d?d.match(/^[.#\[]/)||d.includes(" ")?e.querySelector(d):e.querySelector(`video[data-video-name="${d}"]`):e.querySelector("video")};a.isVideoPlaying=function(d){return(d=this.getVideo(d))?!d.paused&&!d.ended:!1};a.playVideo=function(d){var e=this.getVideo(d);return e?Cb(e):n(d)};a.pauseVideo=function(d){var e=
+this.getVideo(d);return e?ta(e):n(d)};a.stopVideo=function(d){var e=this.getVideo(d);return e?Promise.all([ta(e),P(e,0)]).then(()=>e):n(d)};a.setVideoVolume=function(d,e){var f=this.getVideo(d);if(!f)return n(d);if(!(e>=0&&e<=1))return Promise.reject(new r("INVALID_ARGUMENT",`Invalid volume ${e}, it must be between 0 and 1.`));N.set(f,e);La(f);ka(f,M(f));return Promise.resolve(e)};a.fadeVideoVolume=function(d,e,f,g){var h=this.getVideo(d);if(!h)return n(d);if(!(e>=0&&e<=1&&f>=0)||g&&!rb[g])return Promise.reject(new r("INVALID_ARGUMENT",
+`Invalid fade to ${e} over ${f}ms (${g||"ease-in-out"}).`));N.set(h,e);return ma(h,M(h),f,g)};a.setVideoPlaybackRate=function(d,e){var f=this.getVideo(d);if(!f)return n(d);if(!(e>=.0625&&e<=16))return Promise.reject(new r("INVALID_ARGUMENT",`Invalid playback rate ${e}, it must be between 0.0625 and 16.`));f.playbackRate=e;return Promise.resolve(f.playbackRate)};a.stepVideoFrame=function(d,e=1){var f=this.getVideo(d);return f?sd(f,e):n(d)};a.getVideoFrameRate=function(d){return(d=this.getVideo(d))?
+hc(d):null};a.setVideoLoopRegion=function(d,e,f,g){if(d=this.getVideo(d)){{let h=isFinite(d.duration)?d.duration:Infinity;e>=0&&f>e&&f<=h?g===void 0||g>0?(y.delete(d),e={start:e,end:f,count:g===void 0?Infinity:g,completed:0,watching:!1},y.set(d,e),C(this,d,{loopCount:0}),jc(this,d,e),e=!0):(console.warn(`Invalid loop count ${g}, it must be greater than 0.`),e=!1):(console.warn(`Invalid loop region ${e}-${f}, it must lie within the video and end after it starts.`),e=!1)}}else e=!1;return e};a.clearVideoLoopRegion=
+function(d){(d=this.getVideo(d))&&y.delete(d)};a.seekVideoTo=function(d,e){var f=this.getVideo(d);return f?P(f,e):n(d)};a.toggleVideoMute=function(d){var e=this.getVideo(d);if(!e)return n(d);e.muted=!e.muted;return Promise.resolve(e.muted)};a.getVideoDuration=function(d){return(d=this.getVideo(d))?d.duration:null};a.getVideoEngagement=function(d){return(d=this.getVideo(d))?cc(d):null};a.seekVideoToPercentage=function(d,e){var f=this.getVideo(d);return f?e>=0&&e<=100&&isFinite(f.duration)?P(f,e/100*
+f.duration):Promise.reject(new r("INVALID_ARGUMENT",`Cannot seek to ${e}%.`)):n(d)};a.waitForVideo=function(d,e,f){var g=this.getVideo(d);if(!g)return n(d);if(typeof e==="number"){if(g.currentTime>=e)return Promise.resolve(g);var h=Z(g,["timeupdate"],()=>g.currentTime>=e)}else if(typeof e==="string"&&e){if(e==="ended"&&g.ended)return Promise.resolve(g);h=Z(g,[e])}else return Promise.reject(new r("INVALID_ARGUMENT","Wait for an event name or a time in seconds."));if(f>0){let l=setTimeout(()=>{h.cancel(new r("TIMEOUT",
+`Timed out waiting for "${e}".`))},f);h.then(()=>clearTimeout(l),()=>clearTimeout(l))}return h};a.addVideoCue=function(d,e,f){(d=this.getVideo(d))&&e>=0&&f&&Gb(d,e,f)};a.clearVideoCues=function(d){(d=this.getVideo(d))&&L.delete(d)};a.setVideoPlaylist=function(d,e,f){(d=this.getVideo(d))&&Hb(d,e,f)};a.nextVideoPlaylistItem=function(d){(d=this.getVideo(d))&&u.has(d)&&Kb(this,d)};a.previousVideoPlaylistItem=function(d){var e=(d=this.getVideo(d))?u.get(d):null;e&&Ib(this,d,e.index>0?e.index-1:e.loop?
+e.items.length-1:0)};a.getVideoPlaylistIndex=function(d){return(d=(d=this.getVideo(d))?u.get(d):null)?d.index:null};a.getVideoState=function(d){return(d=this.getVideo(d))?{...Q(d)}:null};a.setVideoCaptions=function(d,e,f){var g=this.getVideo(d);g&&(d=za(g),f!==void 0&&(d.target=f||null),hb(this,g),Sb(g,e),(e=d.target?this.getElementById(d.target):null)&&d.lang===!1&&(e.innerHTML=""))};a.getVideoCaptionLanguages=function(d){return(d=this.getVideo(d))?fb(d).map(e=>e.language):[]};a.setVideoChapters=
+function(d,e){(d=this.getVideo(d))&&Aa(d,e)};a.getVideoChapters=function(d){return(d=(d=this.getVideo(d))?x.get(d):null)?d.chapters.map((e,f)=>({...e,index:f})):[]};a.goToVideoChapter=function(d,e){var f=this.getVideo(d);if(!f)return n(d);var g=Yc(f,e);if(g===-1)return Promise.reject(new r("INVALID_ARGUMENT",`Chapter "${e}" not found.`));var h=x.get(f).chapters[g];return P(f,h.start).then(()=>({...h,index:g}))};a.nextVideoChapter=function(d){var e=this.getVideo(d);if(!e)return n(d);if(!x.has(e))return Promise.resolve(null);
+var f=x.get(e).chapters.findIndex(g=>g.start>e.currentTime);return f===-1?Promise.resolve(null):this.goToVideoChapter(d,f)};a.previousVideoChapter=function(d){var e=this.getVideo(d);if(!e)return n(d);if(!x.has(e))return Promise.resolve(null);e=Ub(e,e.currentTime);return e>0?this.goToVideoChapter(d,e-1):Promise.resolve(null)};a.setVideoBranches=function(d,e){return(d=this.getVideo(d))?Fa(this,d,e):!1};a.chooseVideoBranch=function(d,e){return(d=(d=this.getVideo(d))?T.get(d):null)?Da(this,d,e):!1};a.getVideoBranchPath=
+function(d){return(d=(d=this.getVideo(d))?T.get(d):null)?d.path.map(e=>({...e})):null};a.clearVideoResume=function(d){if(d=this.getVideo(d))if(d=Oa(this,d)){X.delete(d);try{localStorage.removeItem(`HypeVideoController/${d}`)}catch(e){}}};a.playVideoGroup=function(d){var e=Ga(this.getElementById(this.currentSceneId()),d);return e?Promise.all(e.members.map(f=>{f!==e.master&&(f.currentTime=e.master.currentTime);return Cb(f)})):n(`group ${d}`)};a.pauseVideoGroup=function(d){var e=Ga(this.getElementById(this.currentSceneId()),
+d);return e?Promise.all(e.members.map(f=>{t.delete(f);return ta(f)})):n(`group ${d}`)};a.seekVideoGroup=function(d,e){var f=Ga(this.getElementById(this.currentSceneId()),d);return f?Promise.all(f.members.map(g=>P(g,e))):n(`group ${d}`)};a.muteAllVideos=function(){this.getElementById(this.currentSceneId()).querySelectorAll("video").forEach(d=>{d.muted=!0})};a.unmuteAllVideos=function(){this.getElementById(this.currentSceneId()).querySelectorAll("video").forEach(d=>{d.muted=!1})}}});window.HYPE_eventListeners.push({type:"HypeScenePrepareForDisplay",
+callback:function(a,b,c){lb.set(a.getElementById(a.currentSceneId()),a.currentSceneName());vd(a);uc(a);Hc(a);Pc(a);Sc(a);Wc(a);Zc(a);jd(a);ed(a);wd(a);ld(a);qd(a)}});window.HYPE_eventListeners.push({type:"HypeSceneLoad",callback:function(a,b,c){b.querySelectorAll("video").forEach(d=>{d.removeAttribute("autoplay");d.autoplay=!1});Bb(a);vc(a)}});window.HYPE_eventListeners.push({type:"HypeSceneUnload",callback:function(a,b,c){xd(a);if("mediaSession"in navigator&&(a=A.video)&&b&&b.contains(a)&&(A.video=
+null,A.hypeDocument=null,navigator.mediaSession.metadata=null,navigator.mediaSession.playbackState="none",dc({play:null,pause:null,stop:null,seekbackward:null,seekforward:null,seekto:null,nexttrack:null,previoustrack:null}),navigator.mediaSession.setPositionState))try{navigator.mediaSession.setPositionState()}catch(d){}}});document.addEventListener("visibilitychange",function(){var a=document.visibilityState==="hidden";ia.forEach(b=>{(b=b.getElementById(b.currentSceneId()))&&b.querySelectorAll("video").forEach(c=>
+{if(a)!c.paused&&k(c,"pauseOnHidden")&&(tb.add(c),c.pause());else if(tb.delete(c)){let d=H.get(c);d&&d.inViewport===!1?d.pausedByViewport=!0:c.play().catch(e=>{console.warn(`Failed to resume video: ${c.id||"unnamed"}`,e)})}})})});document.addEventListener("visibilitychange",()=>{document.visibilityState==="hidden"&&jb()});window.addEventListener("pagehide",jb);window.addEventListener("message",function(a){var b=a.data;if(b&&b.source==="HypeVideoControllerHost"&&b.command){var c=Array.from(ia).filter(g=>
+O(g,"messageBridge")),d=b.document?c.find(g=>g.documentId()===b.document||g.documentName()===b.document):c.length===1?c[0]:null;if(d)if(c=mb(d),c.includes("*")||c.includes(a.origin)){a.source&&(Ka.has(d)||Ka.set(d,new Map),Ka.get(d).set(a.source,a.origin==="null"?"*":a.origin));var e=g=>{a.source&&ob(d,a.source,{type:"response",requestId:b.requestId,...g},a.origin==="null"?"*":a.origin)};try{var f=od(d,b)}catch(g){f=Promise.reject(g)}f.then(g=>{e({ok:!0,result:g&&{...g}})},g=>{e({ok:!1,error:{code:g.code||
+"PLAY_FAILED",message:g.message}})})}else console.warn(`Video bridge command from "${a.origin}" ignored, the origin isn't allowed.`)}});["pointerdown","keydown","touchend"].forEach(a=>{document.addEventListener(a,Oc,!0)});return{version:"1.1.22",setDefault:function(a,b){Na(G,a,b)},getDefault:function(a){return a?G[a]:{...G}},getEffectiveVideoSettings:rc,VideoControllerError:r,registerSourceAdapter:function(a){a&&typeof a.canHandle==="function"&&typeof a.attach==="function"?(wb(a.name),pa.push(a)):
+console.warn("Source adapters need canHandle(url, video) and attach(video, url, context) functions.")},unregisterSourceAdapter:wb,registerTrackingSink:function(a){typeof a==="function"&&(a={send:a});a&&typeof a.send==="function"?(ac(a.name),Ja.push(a)):console.warn("Tracking sinks need to be a function or an object with send(record, hypeDocument).")},unregisterTrackingSink:ac}}());
@@ -0,0 +1,145 @@
+/*!
+ * Hype Video Controller Host v1.0.0
+ * Copyright (2025) Max Ziebell. MIT-license
+ */
+
+/*
+ * Reference client for the Hype Video Controller message bridge. Include it on the
+ * page that embeds the Hype document in an iframe (the document needs messageBridge).
+ *
+ * Version-History
+ * 1.0.0 Initial release under MIT-license
+ */
+
+if ("HypeVideoControllerHost" in window === false) {
+    window['HypeVideoControllerHost'] = (function () {
+
+        const _version = "1.0.0";
+        let requestCounter = 0;
+
+        /**
+         * Connects to a Hype document embedded in an iframe
+         *
+         * @param {HTMLIFrameElement|Window} frame - The iframe (or its window)
+         * @param {Object} [options] - origin of the Hype document ('*' by default),
+         *                             document id or name, and timeout in milliseconds
+         * @returns {Object} - The client with command methods, on/off and destroy
+         */
+        function connect(frame, options = {}) {
+            const target = frame.contentWindow || frame;
+            const origin = options.origin || '*';
+            const timeout = options.timeout || 10000;
+            const pending = new Map();
+            const handlers = new Map();
+
+            /**
+             * Sends a command and resolves with the result of the response
+             *
+             * @param {String} command - play, pause, stop, seek, mute, volume or getState
+             * @param {String} video - The data-video-name value
+             * @param {*} [value] - Command value (seconds, muted state or volume)
+             * @returns {Promise} - Resolves with the video state, rejects with {code, message}
+             */
+            function send(command, video, value) {
+                const requestId = `${Date.now()}-${++requestCounter}`;
+                return new Promise((resolve, reject) => {
+                    const timer = setTimeout(() => {
+                        pending.delete(requestId);
+                        reject({ code: 'TIMEOUT', message: `No response to "${command}".` });
+                    }, timeout);
+                    pending.set(requestId, { resolve, reject, timer });
+
+                    target.postMessage({
+                        source: 'HypeVideoControllerHost',
+                        document: options.document,
+                        command,
+                        video,
+                        value,
+                        requestId,
+                    }, origin);
+                });
+            }
+
+            /**
+             * Handles responses and events of the connected document
+             *
+             * @param {MessageEvent} event - The message event
+             */
+            function handleMessage(event) {
+                const data = event.data;
+                if (event.source !== target || !data || data.source !== 'HypeVideoController') return;
+                if (origin !== '*' && event.origin !== origin) return;
+                if (options.document && data.document !== options.document && data.documentName !== options.document) return;
+
+                if (data.type === 'response' && pending.has(data.requestId)) {
+                    const request = pending.get(data.requestId);
+                    pending.delete(data.requestId);
+                    clearTimeout(request.timer);
+                    data.ok ? request.resolve(data.result) : request.reject(data.error);
+                    return;
+                }
+
+                if (data.type === 'event') {
+                    [data.event, `${data.event} ${data.video}`, '*'].forEach(key => {
+                        (handlers.get(key) || []).forEach(handler => handler(data));
+                    });
+                }
+            }
+
+            window.addEventListener('message', handleMessage);
+
+            return {
+                play: video => send('play', video),
+                pause: video => send('pause', video),
+                stop: video => send('stop', video),
+                seek: (video, time) => send('seek', video, time),
+                mute: (video, muted) => send('mute', video, muted),
+                volume: (video, volume) => send('volume', video, volume),
+                getState: video => send('getState', video),
+
+                /**
+                 * Listens to a lifecycle event ("Video Ended"), an event of one
+                 * video ("Video Ended intro") or all events ('*')
+                 *
+                 * @param {String} eventName - The event name
+                 * @param {Function} handler - Called with {event, video, state}
+                 */
+                on(eventName, handler) {
+                    if (!handlers.has(eventName)) handlers.set(eventName, []);
+                    handlers.get(eventName).push(handler);
+                },
+
+                /**
+                 * Removes an event handler
+                 *
+                 * @param {String} eventName - The event name
+                 * @param {Function} handler - The handler passed to on()
+                 */
+                off(eventName, handler) {
+                    const list = handlers.get(eventName) || [];
+                    const index = list.indexOf(handler);
+                    if (index !== -1) list.splice(index, 1);
+                },
+
+                /**
+                 * Stops listening and rejects pending commands
+                 */
+                destroy() {
+                    window.removeEventListener('message', handleMessage);
+                    pending.forEach(request => {
+                        clearTimeout(request.timer);
+                        request.reject({ code: 'ABORTED', message: 'The connection was closed.' });
+                    });
+                    pending.clear();
+                    handlers.clear();
+                },
+            };
+        }
+
+        return {
+            version: _version,
+            connect: connect,
+        };
+
+    })();
+}